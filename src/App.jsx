@@ -9,17 +9,24 @@ import TransactionManager from './components/transactions/TransactionManager';
 import NetworkStatusIndicator from './components/common/NetworkStatusIndicator';
 import RateLimitNotice from './components/common/RateLimitNotice';
 import ErrorBoundary from './components/common/ErrorBoundary';
+import DiagnosticsDrawer from './components/common/DiagnosticsDrawer';
 import { COOKIE_TOKEN_ADDRESS, COOKIE_CLICKER_ADDRESS } from './constants/contracts';
+import { RPC_ENDPOINTS, RPC_WS_URL } from './constants/blockchain';
+import { METRICS_ENDPOINT } from './services/MetricsRegistry';
 import './styles/index.css';
 
 // Security headers setup
 const setupSecurityHeaders = () => {
   // This would typically be done on the server, but we're adding it here for completeness
   
+  // Allow every configured RPC endpoint, not just the public one (plus the metrics collector, if set)
+  const rpcUrls = [...RPC_ENDPOINTS, RPC_WS_URL, METRICS_ENDPOINT].filter(Boolean);
+  const rpcSources = [...new Set(rpcUrls.map(url => new URL(url).origin))].join(' ');
+  
   // Set Content Security Policy meta tag
   const cspMeta = document.createElement('meta');
   cspMeta.httpEquiv = 'Content-Security-Policy';
-  cspMeta.content = "default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com; style-src 'self' 'unsafe-inline'; connect-src 'self' https://testnet-rpc.monad.xyz/ https://monad-testnet.g.alchemy.com/ https://testnet.monadexplorer.com/; img-src 'self' data:; object-src 'none';";
+  cspMeta.content = `default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com; style-src 'self' 'unsafe-inline'; connect-src 'self' https://testnet-rpc.monad.xyz/ https://monad-testnet.g.alchemy.com/ https://testnet.monadexplorer.com/ ${rpcSources}; img-src 'self' data:; object-src 'none';`;
   document.head.appendChild(cspMeta);
   
   // Set other security headers via meta tags
@@ -91,6 +98,10 @@ const App = () => {
               </div>
               
               <NetworkStatusIndicator />
+              
+              <ErrorBoundary fallbackMessage="Failed to load diagnostics">
+                <DiagnosticsDrawer />
+              </ErrorBoundary>
             </div>
           </GameProvider>
         </TransactionProvider>
@@ -0,0 +1,341 @@
+// src/components/common/DiagnosticsDrawer.jsx
+import React, { useState, useEffect } from 'react';
+import { Gauge, X, Download, Upload } from 'lucide-react';
+import { useApiStats } from '../../hooks/useApiStats';
+import { useWalletContext } from '../../context/WalletContext';
+import metrics from '../../services/MetricsRegistry';
+
+// Colors for request log entries
+const EVENT_STYLES = {
+  'request:queued': 'text-gray-500',
+  'request:started': 'text-blue-600',
+  'request:succeeded': 'text-green-600',
+  'request:failed': 'text-red-600',
+  'cache:hit': 'text-gray-400',
+  'backoff:changed': 'text-amber-600',
+  'rpc:switched': 'text-purple-600'
+};
+
+// Colors for gas wallet nonce ledger statuses
+const NONCE_STYLES = {
+  held: 'text-gray-400',
+  reserved: 'text-gray-500',
+  pending: 'text-blue-600',
+  failed: 'text-red-600'
+};
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Milliseconds
+ * @returns {string}
+ */
+const formatMs = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  if (Math.abs(ms) >= 1000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.round(ms)}ms`;
+};
+
+/**
+ * Shorten a cached value for the cache table
+ * @param {any} value - Cached value
+ * @returns {string}
+ */
+const previewValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 40)}...` : String(text);
+};
+
+/**
+ * Describe one event log entry
+ * @param {Object} event - Event from the ApiManager log
+ * @returns {string}
+ */
+const describeEvent = (event) => {
+  const target = event.cacheKey || (event.isTransaction ? 'transaction' : 'uncached');
+
+  switch (event.type) {
+    case 'request:queued':
+      return `${target} queued (${event.priority}${event.forwarded ? ', forwarded to leader tab' : ''}${event.retries ? `, retry ${event.retries}` : ''})`;
+    case 'request:started':
+      return `${target} started after ${formatMs(event.waited)}${event.batchSize > 1 ? ` in batch of ${event.batchSize}` : ''}`;
+    case 'request:succeeded':
+      return `${target} done in ${formatMs(event.duration)}`;
+    case 'request:failed':
+      return `${target} failed: ${event.error}${event.willRetry ? ' (retrying)' : ''}`;
+    case 'cache:hit':
+      return `${target} from cache${event.stale ? ' (stale)' : ''}`;
+    case 'backoff:changed':
+      return `backoff ${formatMs(event.backoffTime)} after ${event.errorCount} errors`;
+    case 'rpc:switched':
+      return `RPC ${event.from || '(none)'} -> ${event.to}`;
+    default:
+      return event.type;
+  }
+};
+
+const DiagnosticsDrawer = () => {
+  const [open, setOpen] = useState(false);
+  const [pushStatus, setPushStatus] = useState(null);
+  const [nonceState, setNonceState] = useState(null);
+  const { stats, cacheEntries, log } = useApiStats({ enabled: open });
+  const { gasWallet } = useWalletContext();
+
+  // Ctrl+Shift+D toggles the drawer
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey && event.shiftKey && event.key.toLowerCase() === 'd') {
+        event.preventDefault();
+        setOpen(prev => !prev);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // The nonce ledger changes without ApiManager events, so poll it while the drawer is open
+  useEffect(() => {
+    if (!open || !gasWallet.instance) {
+      setNonceState(null);
+      return;
+    }
+
+    const readNonces = () => setNonceState(gasWallet.instance.getNonceState());
+    readNonces();
+
+    const intervalId = setInterval(readNonces, 1000);
+    return () => clearInterval(intervalId);
+  }, [open, gasWallet.instance]);
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="fixed top-1/2 right-0 -translate-y-1/2 z-40 bg-white border border-r-0 border-gray-200 rounded-l-lg p-2 shadow text-gray-500 hover:text-gray-800"
+        aria-label="Open API diagnostics"
+        title="API diagnostics (Ctrl+Shift+D)"
+      >
+        <Gauge size={16} />
+      </button>
+    );
+  }
+
+  const { queueLengths, queueWaitTimes, budget } = stats;
+
+  const handlePush = async () => {
+    setPushStatus('Pushing...');
+    try {
+      await metrics.push('prometheus');
+      setPushStatus(`Pushed at ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+      setPushStatus(`Push failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-50 w-full max-w-md bg-white border-l border-gray-200 shadow-xl flex flex-col text-xs">
+      <div className="flex items-center justify-between p-3 border-b border-gray-200">
+        <h3 className="font-bold text-gray-800 flex items-center">
+          <Gauge size={16} className="mr-2" />
+          API Diagnostics
+        </h3>
+        <button
+          onClick={() => setOpen(false)}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close diagnostics"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-3 space-y-4">
+        {/* Overview */}
+        <section>
+          <h4 className="font-semibold text-gray-700 mb-1">Status</h4>
+          <div className="grid grid-cols-2 gap-1 text-gray-600">
+            <span>Active RPC</span>
+            <span className="font-mono truncate" title={stats.currentProvider}>{stats.currentProvider || '-'}</span>
+            <span>Backoff</span>
+            <span className={stats.backoffTime > 0 ? 'text-amber-600' : ''}>
+              {stats.backoffTime > 0 ? `${formatMs(stats.backoffTime)} (${stats.errorCount} errors)` : 'none'}
+            </span>
+            <span>Budget (tx / data)</span>
+            <span>{budget.transaction} / {budget.data} req/s{budget.borrowing ? ' (borrowing)' : ''}</span>
+            <span>Tab role</span>
+            <span>{stats.tabRole}</span>
+            <span>Requests (tx / data)</span>
+            <span>{stats.txRequests} / {stats.dataRequests} ({stats.errors} errors)</span>
+          </div>
+        </section>
+
+        {/* Queues */}
+        <section>
+          <h4 className="font-semibold text-gray-700 mb-1">Queues</h4>
+          <table className="w-full text-left text-gray-600">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="font-normal">Queue</th>
+                <th className="font-normal">Depth</th>
+                <th className="font-normal">Oldest</th>
+                <th className="font-normal">p50 / p90 wait</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(queueLengths).map(([name, depth]) => (
+                <tr key={name}>
+                  <td>{name}</td>
+                  <td>{depth}</td>
+                  <td>{formatMs(queueWaitTimes[name]?.oldestQueued)}</td>
+                  <td>{formatMs(queueWaitTimes[name]?.p50)} / {formatMs(queueWaitTimes[name]?.p90)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-gray-400 mt-1">
+            {stats.activeDataRequests} data requests running, {stats.inFlight} keys in flight
+          </p>
+        </section>
+
+        {/* RPC endpoints */}
+        <section>
+          <h4 className="font-semibold text-gray-700 mb-1">RPC endpoints</h4>
+          {stats.rpcEndpoints.map(endpoint => (
+            <div key={endpoint.url} className="flex justify-between text-gray-600">
+              <span className={`font-mono truncate mr-2 ${endpoint.healthy ? '' : 'text-red-600'}`} title={endpoint.lastError || ''}>
+                {endpoint.url}
+              </span>
+              <span className="whitespace-nowrap">{formatMs(endpoint.latency)} · score {endpoint.score}</span>
+            </div>
+          ))}
+        </section>
+
+        {/* Gas wallet nonces */}
+        {nonceState && (
+          <section>
+            <h4 className="font-semibold text-gray-700 mb-1">Gas wallet nonces</h4>
+            <div className="grid grid-cols-2 gap-1 text-gray-600">
+              <span>Next nonce</span>
+              <span>{nonceState.nextNonce ?? '-'}</span>
+              <span>Chain (latest / pending)</span>
+              <span>
+                {nonceState.latest ?? '-'} / {nonceState.pending ?? '-'}
+                {nonceState.checkedAt ? ` (${formatMs(Date.now() - nonceState.checkedAt)} ago)` : ''}
+              </span>
+              <span>Gap</span>
+              <span className={nonceState.gap ? 'text-amber-600' : ''}>
+                {nonceState.gap ? `nonce ${nonceState.gap.nonce} for ${formatMs(nonceState.gap.age)}` : 'none'}
+              </span>
+            </div>
+
+            {nonceState.entries.length > 0 && (
+              <table className="w-full text-left text-gray-600 mt-1">
+                <thead>
+                  <tr className="text-gray-400">
+                    <th className="font-normal">Nonce</th>
+                    <th className="font-normal">Status</th>
+                    <th className="font-normal">Hash</th>
+                    <th className="font-normal text-right">Age</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {nonceState.entries.map(entry => (
+                    <tr key={entry.nonce} title={entry.error || ''}>
+                      <td>{entry.nonce}</td>
+                      <td className={NONCE_STYLES[entry.status] || ''}>
+                        {entry.status}
+                        {entry.kind && entry.kind !== 'original' ? ` (${entry.kind})` : ''}
+                      </td>
+                      <td className="font-mono">{entry.hash ? `${entry.hash.slice(0, 10)}...` : '-'}</td>
+                      <td className="text-right">{formatMs(entry.age)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {nonceState.repairs.length > 0 && (
+              <ul className="font-mono space-y-0.5 mt-1">
+                {nonceState.repairs.map(repair => (
+                  <li key={`${repair.at}-${repair.nonce}`} className={repair.error ? 'text-red-600' : 'text-gray-600'}>
+                    <span className="text-gray-400 mr-1">{new Date(repair.at).toLocaleTimeString()}</span>
+                    {repair.action} nonce {repair.nonce}
+                    {repair.error ? ` failed: ${repair.error}` : repair.hash ? ` -> ${repair.hash.slice(0, 10)}...` : ''}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
+        {/* Cache */}
+        <section>
+          <h4 className="font-semibold text-gray-700 mb-1">Cache ({cacheEntries.length})</h4>
+          {cacheEntries.length === 0 ? (
+            <p className="text-gray-400">Empty</p>
+          ) : (
+            <table className="w-full text-left text-gray-600">
+              <tbody>
+                {cacheEntries.map(entry => (
+                  <tr key={entry.key}>
+                    <td className="font-mono truncate max-w-[10rem]" title={entry.key}>{entry.key}</td>
+                    <td className="font-mono truncate max-w-[8rem]">{previewValue(entry.value)}</td>
+                    <td className={`text-right whitespace-nowrap ${entry.stale ? 'text-amber-600' : ''}`}>
+                      {entry.stale ? `stale ${formatMs(-entry.expiresIn)}` : formatMs(entry.expiresIn)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        {/* Metrics export */}
+        <section>
+          <h4 className="font-semibold text-gray-700 mb-1">Metrics</h4>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => metrics.download('json')}
+              className="flex items-center px-2 py-1 border border-gray-200 rounded text-gray-600 hover:bg-gray-50"
+            >
+              <Download size={12} className="mr-1" />
+              JSON
+            </button>
+            <button
+              onClick={() => metrics.download('prometheus')}
+              className="flex items-center px-2 py-1 border border-gray-200 rounded text-gray-600 hover:bg-gray-50"
+            >
+              <Download size={12} className="mr-1" />
+              Prometheus
+            </button>
+            {metrics.canPush() && (
+              <button
+                onClick={handlePush}
+                className="flex items-center px-2 py-1 border border-gray-200 rounded text-gray-600 hover:bg-gray-50"
+                title={metrics.endpoint}
+              >
+                <Upload size={12} className="mr-1" />
+                Push
+              </button>
+            )}
+          </div>
+          {pushStatus && <p className="text-gray-400 mt-1">{pushStatus}</p>}
+        </section>
+
+        {/* Request log */}
+        <section>
+          <h4 className="font-semibold text-gray-700 mb-1">Recent activity</h4>
+          <ul className="font-mono space-y-0.5">
+            {[...log].reverse().map((event, index) => (
+              <li key={`${event.time}-${index}`} className={EVENT_STYLES[event.type] || 'text-gray-600'}>
+                <span className="text-gray-400 mr-1">{new Date(event.time).toLocaleTimeString()}</span>
+                {describeEvent(event)}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsDrawer;
@@ -1,9 +1,11 @@
 // src/components/common/RateLimitNotice.jsx
 import React, { useState, useEffect } from 'react';
 import { AlertTriangle, X } from 'lucide-react';
+import apiManager from '../../services/ApiManager';
 
 const RateLimitNotice = () => {
   const [show, setShow] = useState(true);
+  const [split, setSplit] = useState(() => apiManager.getBudgetSplit());
   
   // Hide the notice after 30 seconds
   useEffect(() => {
@@ -14,6 +16,17 @@ const RateLimitNotice = () => {
     return () => clearTimeout(timer);
   }, []);
   
+  // Follow the live budget split while the notice is visible
+  useEffect(() => {
+    if (!show) return;
+    
+    const intervalId = setInterval(() => {
+      setSplit(apiManager.getBudgetSplit());
+    }, 1000);
+    
+    return () => clearInterval(intervalId);
+  }, [show]);
+  
   if (!show) return null;
   
   return (
@@ -32,10 +45,18 @@ const RateLimitNotice = () => {
       </div>
       
       <p className="text-sm text-yellow-700 mb-2">
-        This app uses rate limiting to stay within the Monad testnet limits of 10 req/sec.
-        9 req/sec are allocated for transactions and 1 req/sec for data updates.
+        This app uses rate limiting to stay within the Monad testnet limits of {split.total} req/sec.
+        Right now {split.transaction} req/sec {split.transaction === 1 ? 'is' : 'are'} allocated for transactions
+        and {split.data} req/sec for data updates
+        {split.borrowing ? ' (data is using spare transaction capacity while you are not clicking).' : '.'}
       </p>
       
+      {split.retryAfter > 0 && (
+        <p className="text-sm text-yellow-700 mb-2">
+          The RPC asked us to slow down - resuming in {Math.ceil(split.retryAfter / 1000)}s.
+        </p>
+      )}
+      
       <p className="text-xs text-yellow-600">
         Some actions might be queued if you click too fast, but they'll process in order.
       </p>
@@ -1,28 +1,39 @@
 // src/components/cookie/CookieGame.jsx
 import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
 import { useGameContext } from '../../context/GameContext';
 import { useWalletContext } from '../../context/WalletContext';
 import { useTransactionContext } from '../../context/TransactionContext';
-import { AlertCircle, Clock, Activity, RefreshCw } from 'lucide-react';
-import { fundClickerContract } from '../../services/TransactionService';
+import { AlertCircle, Clock, Activity, RefreshCw, Send } from 'lucide-react';
+import { fundClickerContract, estimateClicksRemaining } from '../../services/TransactionService';
 
 const CookieGame = () => {
   const { 
     confirmedScore,
     pendingClicks,
     cookieBalance,
+    mainCookieBalance,
     redeemableTokens,
     clicksPerToken,
     cookies,
     contractHasTokens,
+    dataIsStale,
     handleClick,
     handleRedeem,
-    refreshTokenBalance // Add this to use the new refresh function
+    refreshTokenBalance, // Add this to use the new refresh function
+    autoForwardCookies,
+    setAutoForwardCookies,
+    sendCookiesToMainWallet,
+    isSendingCookies,
+    clickStats
   } = useGameContext();
   
-  const { mainWallet, gasWallet, loading } = useWalletContext();
+  const { mainWallet, gasWallet, loading, gasPrice } = useWalletContext();
   const { processingTxCount, transactions, queueLength } = useTransactionContext();
   
+  // A gas wallet restored from a keystore can play without the main wallet connected
+  const walletReady = mainWallet.connected || Boolean(gasWallet.instance);
+  
   // Redeem form state
   const [redeemAmount, setRedeemAmount] = useState(0);
   const [redeemMode, setRedeemMode] = useState('all'); // 'all' or 'custom'
@@ -98,9 +109,21 @@ const CookieGame = () => {
     }
   };
   
+  // Handle sending the gas wallet's $COOKIE to the main wallet
+  const onSendCookiesHandler = async () => {
+    try {
+      const txHash = await sendCookiesToMainWallet();
+      if (!txHash) {
+        alert("There is no $COOKIE in the gas wallet to send.");
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  
   // Handle manual token balance refresh
   const handleRefreshBalance = async () => {
-    if (!mainWallet.connected || !gasWallet.address) return;
+    if (!walletReady || !gasWallet.address) return;
     
     setIsRefreshing(true);
     try {
@@ -126,7 +149,7 @@ const CookieGame = () => {
   
   // Determine if the redeem button should be disabled
   const isRedeemDisabled = 
-    !mainWallet.connected || 
+    !walletReady || 
     gasWallet.balance === "0" || 
     !contractHasTokens || 
     confirmedScore < clicksPerToken || 
@@ -134,7 +157,7 @@ const CookieGame = () => {
     
   // Set an informative message for why the button is disabled
   useEffect(() => {
-    if (!mainWallet.connected) {
+    if (!walletReady) {
       setButtonMessage('Connect wallet to redeem');
     } else if (gasWallet.balance === "0") {
       setButtonMessage('Gas wallet needs MON');
@@ -147,11 +170,16 @@ const CookieGame = () => {
     } else {
       setButtonMessage('');
     }
-  }, [mainWallet.connected, gasWallet.balance, contractHasTokens, confirmedScore, clicksPerToken, isRedeemPending]);
+  }, [walletReady, gasWallet.balance, contractHasTokens, confirmedScore, clicksPerToken, isRedeemPending]);
+  
+  // How many more clicks the gas wallet pays for at the current gas price and the full click gas limit
+  const clicksRemaining = gasWallet.instance && gasPrice
+    ? estimateClicksRemaining(ethers.utils.parseEther(gasWallet.balance), gasPrice)
+    : null;
   
   // Determine if button should be disabled
   const isClickDisabled = 
-    !mainWallet.connected || 
+    !walletReady || 
     gasWallet.balance === "0" || 
     processingTxCount >= 25;
   
@@ -185,6 +213,11 @@ const CookieGame = () => {
             <div className="text-xs text-gray-400">
               You need {clicksPerToken} points for 1 $COOKIE token
             </div>
+            {dataIsStale && (
+              <div className="text-xs text-gray-400 italic">
+                Showing saved values, updating...
+              </div>
+            )}
           </div>
         </div>
         
@@ -247,6 +280,27 @@ const CookieGame = () => {
             </div>
           ))}
         </div>
+        
+        {clicksRemaining !== null && (
+          <div
+            className={`text-xs text-center mt-1 ${clicksRemaining < 20 ? 'text-red-600' : 'text-gray-500'}`}
+            title="Estimated from the gas wallet balance and the learned gas limit of a click"
+          >
+            ~{clicksRemaining.toLocaleString()} clicks remaining at {parseFloat(ethers.utils.formatUnits(gasPrice, 'gwei')).toFixed(1)} gwei
+          </div>
+        )}
+        
+        {clickStats && (clickStats.sentPerSecond > 0 || clickStats.confirmedPerSecond > 0) && (
+          <div className="text-xs text-center text-gray-500 mt-1" title="Averaged over the last 10 seconds">
+            {clickStats.sentPerSecond.toFixed(1)} clicks/sec sent, {clickStats.confirmedPerSecond.toFixed(1)} confirmed
+          </div>
+        )}
+        
+        {clickStats && clickStats.pooled > 0 && (
+          <div className="text-xs text-center text-gray-400 mt-1" title="Click transactions signed ahead of time - a click only has to broadcast one">
+            {clickStats.pooled} clicks pre-signed
+          </div>
+        )}
       </div>
       
       {/* Redeem Form */}
@@ -265,9 +319,15 @@ const CookieGame = () => {
               )}
             </span>
           </div>
-          <div className="flex justify-between mb-1">
-            <span>Token Balance:</span>
-            <span className="font-semibold">{cookieBalance} $COOKIE</span>
+          <div className="grid grid-cols-2 gap-2 mb-2">
+            <div className="bg-gray-50 rounded p-2">
+              <div className="text-xs text-gray-500">Gas Wallet</div>
+              <div className="font-semibold">{cookieBalance} $COOKIE</div>
+            </div>
+            <div className="bg-gray-50 rounded p-2">
+              <div className="text-xs text-gray-500">Main Wallet</div>
+              <div className="font-semibold">{mainCookieBalance} $COOKIE</div>
+            </div>
           </div>
           <div className="flex justify-between mb-1">
             <span>Redeemable Tokens:</span>
@@ -361,6 +421,38 @@ const CookieGame = () => {
           )}
         </div>
         
+        {/* Forward redeemed tokens */}
+        {mainWallet.connected && (
+          <div className="mb-4 border-t border-gray-100 pt-3">
+            <button
+              onClick={onSendCookiesHandler}
+              disabled={isSendingCookies || parseFloat(cookieBalance) === 0 || gasWallet.balance === "0"}
+              className="w-full bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white px-4 py-2 rounded flex items-center justify-center text-sm mb-2"
+            >
+              {isSendingCookies ? (
+                <>
+                  <span className="inline-block w-4 h-4 rounded-full border-2 border-white border-t-transparent animate-spin mr-2"></span>
+                  Sending...
+                </>
+              ) : (
+                <>
+                  <Send size={14} className="mr-2" />
+                  Send $COOKIE to my wallet
+                </>
+              )}
+            </button>
+            <label className="flex items-center text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={autoForwardCookies}
+                onChange={(e) => setAutoForwardCookies(e.target.checked)}
+                className="mr-2"
+              />
+              Automatically send redeemed $COOKIE to my main wallet
+            </label>
+          </div>
+        )}
+        
         {!contractHasTokens && mainWallet.connected && (
           <div className="mb-4">
             <div className="flex items-center gap-2 text-sm text-amber-600 bg-amber-50 p-2 rounded mb-2">
@@ -409,11 +501,11 @@ const CookieGame = () => {
           </div>
         )}
         
-        {(!mainWallet.connected || gasWallet.balance === "0") && (
+        {(!walletReady || gasWallet.balance === "0") && (
           <div className="flex items-center gap-2 text-sm text-amber-600 bg-amber-50 p-2 rounded">
             <AlertCircle size={16} />
             <span>
-              {!mainWallet.connected 
+              {!walletReady 
                 ? "Connect wallet to start playing" 
                 : "Fund gas wallet with MON to enable clicking"}
             </span>
@@ -2,14 +2,17 @@
 import React, { useMemo } from 'react';
 import { useTransactionContext } from '../../context/TransactionContext';
 import { useWalletContext } from '../../context/WalletContext';
-import { CheckCircle, XCircle, Clock, Activity, Link } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, Activity, Link, AlertTriangle } from 'lucide-react';
 
 const TransactionManager = () => {
   const { 
     transactions, 
     processingTxCount, 
     isLoadingTransactions,
-    queueLength
+    queueLength,
+    stuckTransaction,
+    isReplacing,
+    replaceStuckTransaction
   } = useTransactionContext();
   
   const { mainWallet, gasWallet } = useWalletContext();
@@ -25,9 +28,25 @@ const TransactionManager = () => {
     }, { total: 0 });
   }, [transactions]);
   
+  // Speed up or cancel the stuck transaction
+  const handleReplace = async (mode) => {
+    if (mode === 'cancel') {
+      const confirmed = window.confirm(
+        `Cancel transaction #${stuckTransaction.nonce}? It is replaced by an empty transfer to the gas wallet itself, ` +
+        `so whatever it did (a click, a redeem...) won't happen.`
+      );
+      if (!confirmed) return;
+    }
+    
+    try {
+      await replaceStuckTransaction(mode);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+  
   // Check if wallet is connected but we have no transactions
   const isConnectedWithNoTransactions = 
-    mainWallet.connected && 
     gasWallet.address && 
     transactions.length === 0 && 
     !isLoadingTransactions;
@@ -46,6 +65,41 @@ const TransactionManager = () => {
         )}
       </div>
       
+      {stuckTransaction && (
+        <div className="bg-red-50 rounded p-2 mb-2 text-xs text-red-700">
+          <div className="flex items-center font-medium mb-1">
+            <AlertTriangle size={14} className="mr-1" />
+            Transaction #{stuckTransaction.nonce} pending for {Math.round(stuckTransaction.stuckFor / 1000)}s
+          </div>
+          <div className="mb-1">
+            {stuckTransaction.waitingBehind > 0
+              ? `${stuckTransaction.waitingBehind} later transaction${stuckTransaction.waitingBehind > 1 ? 's are' : ' is'} waiting behind it. `
+              : ''}
+            {stuckTransaction.kind === 'cancel'
+              ? 'A cancellation was sent - speed it up if it is stuck too.'
+              : 'It may be underpriced. Resend it with a higher fee, or cancel it.'}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleReplace('speedup')}
+              disabled={isReplacing}
+              className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white px-2 py-1 rounded"
+            >
+              {isReplacing ? 'Sending...' : 'Speed up'}
+            </button>
+            {stuckTransaction.kind !== 'cancel' && (
+              <button
+                onClick={() => handleReplace('cancel')}
+                disabled={isReplacing}
+                className="border border-red-300 text-red-700 px-2 py-1 rounded"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      
       {isLoadingTransactions && (
         <div className="flex items-center justify-center py-4">
           <div className="animate-spin h-5 w-5 border-2 border-blue-500 border-t-transparent rounded-full mr-2"></div>
@@ -92,7 +146,7 @@ const TransactionManager = () => {
         </div>
       )}
       
-      {!mainWallet.connected && (
+      {!mainWallet.connected && !gasWallet.address && (
         <div className="text-gray-500 text-sm text-center py-4">
           Connect your wallet to see activity
         </div>
@@ -173,6 +227,7 @@ const TransactionItem = ({ transaction: tx }) => {
       case 'Click': return 'text-green-600';
       case 'Redeem': return 'text-blue-600';
       case 'Fund': return 'text-purple-600';
+      case 'Transfer': return 'text-amber-600';
       default: return 'text-gray-600';
     }
   };
@@ -256,6 +311,8 @@ const TransactionItem = ({ transaction: tx }) => {
         );
       case 'Fund':
         return <span className="text-purple-600">+{tx.amount}</span>;
+      case 'Transfer':
+        return <span className="text-amber-600">{tx.tokens} $COOKIE → main wallet</span>;
       default:
         return null;
     }
@@ -291,6 +348,20 @@ const TransactionItem = ({ transaction: tx }) => {
         {getTxHashDisplay()}
       </div>
       
+      {tx.replacedHashes && (
+        <div className="text-xs text-gray-500 mt-1">
+          {tx.replacement === 'cancel' ? 'Cancelled' : 'Sped up'}: replaced{' '}
+          {tx.replacedHashes.map(hash => `${hash.slice(0, 6)}...${hash.slice(-4)}`).join(', ')}
+          {' '}with {tx.txHash.slice(0, 6)}...{tx.txHash.slice(-4)}
+        </div>
+      )}
+      
+      {tx.fee && (
+        <div className="text-xs text-gray-400 mt-1">
+          Fee: {parseFloat(tx.fee).toPrecision(3)} MON{tx.feePreset ? ` (${tx.feePreset})` : ''}
+        </div>
+      )}
+      
       {tx.status === 'failed' && tx.error && (
         <div className="text-red-500 text-xs mt-1">
           Error: {tx.error.substring(0, 50)}{tx.error.length > 50 ? '...' : ''}
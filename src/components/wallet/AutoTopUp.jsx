@@ -0,0 +1,144 @@
+// src/components/wallet/AutoTopUp.jsx
+import React, { useState, useEffect } from 'react';
+import { useWalletContext } from '../../context/WalletContext';
+import { AlertCircle } from 'lucide-react';
+
+const STATUS_STYLES = {
+  pending: 'text-blue-600',
+  unconfirmed: 'text-gray-500',
+  confirmed: 'text-green-600',
+  rejected: 'text-gray-500',
+  abandoned: 'text-gray-500',
+  failed: 'text-red-600'
+};
+
+const AutoTopUp = () => {
+  const {
+    mainWallet,
+    topUpPolicy,
+    topUpHistory,
+    topUpNotice,
+    topUpAllowance,
+    updateTopUpPolicy
+  } = useWalletContext();
+  
+  const [form, setForm] = useState(topUpPolicy);
+  const [showHistory, setShowHistory] = useState(false);
+  
+  // Pick up the policy loaded for a newly connected account
+  useEffect(() => {
+    setForm(topUpPolicy);
+  }, [topUpPolicy]);
+  
+  // Top-ups are sent by the main wallet
+  if (!mainWallet.signer) return null;
+  
+  const isDirty = ['threshold', 'amount', 'cap', 'period'].some(field => form[field] !== topUpPolicy[field]);
+  
+  const applyPolicy = (changes) => {
+    try {
+      updateTopUpPolicy(changes);
+    } catch (error) {
+      alert(`Failed to save top-up settings: ${error.message}`);
+    }
+  };
+  
+  const handleChange = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+  
+  return (
+    <div className="border-t border-gray-100 pt-2 mt-2 text-xs text-gray-600">
+      <label className="flex items-center">
+        <input
+          type="checkbox"
+          checked={topUpPolicy.enabled}
+          onChange={(e) => applyPolicy({ ...form, enabled: e.target.checked })}
+          className="mr-2"
+        />
+        Auto top-up from my main wallet
+      </label>
+      
+      {topUpPolicy.enabled && (
+        <div className="mt-1 border border-gray-200 rounded p-2 bg-gray-50">
+          <div className="flex flex-wrap items-center gap-1 mb-1">
+            Below
+            <input
+              type="text"
+              value={form.threshold}
+              onChange={handleChange('threshold')}
+              className="border border-gray-300 rounded px-1 w-14 text-center"
+            />
+            MON, send
+            <input
+              type="text"
+              value={form.amount}
+              onChange={handleChange('amount')}
+              className="border border-gray-300 rounded px-1 w-14 text-center"
+            />
+            MON. At most
+            <input
+              type="text"
+              value={form.cap}
+              onChange={handleChange('cap')}
+              className="border border-gray-300 rounded px-1 w-14 text-center"
+            />
+            MON per
+            <select
+              value={form.period}
+              onChange={handleChange('period')}
+              className="border border-gray-300 rounded"
+            >
+              <option value="day">24 hours</option>
+              <option value="session">session</option>
+            </select>
+            {isDirty && (
+              <button
+                onClick={() => applyPolicy(form)}
+                className="bg-blue-500 hover:bg-blue-600 text-white px-2 rounded ml-1"
+              >
+                Save
+              </button>
+            )}
+          </div>
+          
+          <div className="text-gray-500">
+            {topUpAllowance} MON left this {topUpPolicy.period === 'session' ? 'session' : '24 hours'}. Your wallet asks you to approve each top-up.
+          </div>
+          
+          {topUpNotice && (
+            <div className="flex items-center text-amber-700 mt-1">
+              <AlertCircle size={12} className="mr-1" />
+              Top-up held back: {topUpNotice}
+            </div>
+          )}
+        </div>
+      )}
+      
+      {topUpHistory.length > 0 && (
+        <div className="mt-1">
+          <button onClick={() => setShowHistory(prev => !prev)} className="text-blue-600 underline">
+            {showHistory ? 'Hide' : 'Show'} top-up history ({topUpHistory.length})
+          </button>
+          
+          {showHistory && (
+            <table className="w-full text-left mt-1">
+              <tbody>
+                {topUpHistory.map(entry => (
+                  <tr key={entry.id} title={entry.error || ''}>
+                    <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>{entry.amount} MON</td>
+                    <td className={STATUS_STYLES[entry.status] || ''}>{entry.status}</td>
+                    <td className="font-mono">
+                      {entry.txHash ? `${entry.txHash.slice(0, 8)}...` : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AutoTopUp;
@@ -0,0 +1,167 @@
+// src/components/wallet/GasWalletMigration.jsx
+import React, { useState } from 'react';
+import { useWalletContext } from '../../context/WalletContext';
+import { CURRENT_DERIVATION_VERSION } from '../../services/WalletService';
+import { AlertCircle, ArrowRight } from 'lucide-react';
+
+const GasWalletMigration = () => {
+  const {
+    mainWallet,
+    gasWallet,
+    loading,
+    compareGasWalletVersions,
+    switchGasWallet,
+    migrateGasWallet
+  } = useWalletContext();
+  
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [step, setStep] = useState('');
+  
+  // Only derived wallets have versions to compare, and deriving needs the main wallet
+  if (gasWallet.source !== 'derived' || !mainWallet.signer) return null;
+  
+  const isOutdated = gasWallet.derivationVersion < CURRENT_DERIVATION_VERSION;
+  
+  const handleCompare = async () => {
+    setIsComparing(true);
+    try {
+      setComparison(await compareGasWalletVersions());
+    } catch (error) {
+      alert(`Failed to derive gas wallets: ${error.message}`);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+  
+  const handleSwitch = async (entry) => {
+    try {
+      await switchGasWallet(entry.wallet);
+      setComparison(null);
+    } catch (error) {
+      alert(`Failed to switch gas wallet: ${error.message}`);
+    }
+  };
+  
+  const handleMigrate = async (from, to) => {
+    const scoreNote = from.score > 0
+      ? `\n\nYour ${from.score} points stay with the v${from.version} address - the score can't be moved. Redeem them there first if you want to keep them.`
+      : '';
+    
+    const confirmed = window.confirm(
+      `Move ${from.cookieBalance} $COOKIE and ${from.balance} MON (minus fees) from v${from.version} ` +
+      `(${from.address.slice(0, 6)}...${from.address.slice(-4)}) to v${to.version} ` +
+      `(${to.address.slice(0, 6)}...${to.address.slice(-4)}) and start using v${to.version}?${scoreNote}`
+    );
+    if (!confirmed) return;
+    
+    try {
+      await migrateGasWallet(from.wallet, to.wallet, setStep);
+      setComparison(null);
+      alert(`Moved funds to your v${to.version} gas wallet`);
+    } catch (error) {
+      alert(`Migration failed: ${error.message}`);
+    } finally {
+      setStep('');
+    }
+  };
+  
+  const target = comparison?.find(entry => entry.version === CURRENT_DERIVATION_VERSION);
+  const hasFunds = (entry) => parseFloat(entry.balance) > 0 || parseFloat(entry.cookieBalance) > 0;
+  
+  return (
+    <div className="border-t border-gray-100 pt-2 mt-2 text-xs">
+      {!comparison && (
+        isOutdated ? (
+          <div className="flex items-start text-amber-700 bg-amber-50 p-2 rounded">
+            <AlertCircle size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+            <div>
+              This gas wallet uses key derivation v{gasWallet.derivationVersion}. Version {CURRENT_DERIVATION_VERSION} signs
+              typed data and uses a stronger key derivation.
+              <button
+                onClick={handleCompare}
+                disabled={isComparing || loading}
+                className="block mt-1 text-blue-600 underline"
+              >
+                {isComparing ? 'Waiting for signatures...' : 'Compare wallets and migrate'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            onClick={handleCompare}
+            disabled={isComparing || loading}
+            className="text-blue-600 underline"
+            title="Played before this version? Your earlier gas wallet may still hold funds."
+          >
+            {isComparing ? 'Waiting for signatures...' : 'Find gas wallets from older versions'}
+          </button>
+        )
+      )}
+      
+      {comparison && (
+        <div className="border border-gray-200 rounded p-2 bg-gray-50">
+          <table className="w-full text-left text-gray-600 mb-2">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="font-normal">Version</th>
+                <th className="font-normal">Address</th>
+                <th className="font-normal">MON</th>
+                <th className="font-normal">$COOKIE</th>
+                <th className="font-normal">Score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map(entry => (
+                <tr key={entry.version} className={entry.inUse ? 'font-semibold' : ''}>
+                  <td>v{entry.version}{entry.inUse ? ' (in use)' : ''}</td>
+                  <td className="font-mono">{entry.address.slice(0, 6)}...{entry.address.slice(-4)}</td>
+                  <td>{parseFloat(entry.balance).toFixed(4)}</td>
+                  <td>{entry.cookieBalance}</td>
+                  <td>{entry.score}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          
+          <div className="flex flex-wrap gap-2">
+            {target && comparison
+              .filter(entry => entry.version !== target.version && hasFunds(entry))
+              .map(entry => (
+                <button
+                  key={`sweep-${entry.version}`}
+                  onClick={() => handleMigrate(entry, target)}
+                  disabled={loading}
+                  className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white px-2 py-1 rounded flex items-center"
+                >
+                  Sweep v{entry.version} <ArrowRight size={12} className="mx-1" /> v{target.version}
+                </button>
+              ))}
+            {comparison
+              .filter(entry => !entry.inUse)
+              .map(entry => (
+                <button
+                  key={`use-${entry.version}`}
+                  onClick={() => handleSwitch(entry)}
+                  disabled={loading}
+                  className="border border-gray-300 text-gray-700 px-2 py-1 rounded"
+                >
+                  Use v{entry.version}
+                </button>
+              ))}
+            <button onClick={() => setComparison(null)} disabled={loading} className="text-gray-500">
+              Close
+            </button>
+          </div>
+          
+          {step && <div className="text-blue-600 mt-1">{step}...</div>}
+          <div className="text-gray-500 mt-1">
+            Scores are recorded per address and stay with the old wallet. Redeem them before sweeping.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GasWalletMigration;
@@ -0,0 +1,196 @@
+// src/components/wallet/KeystoreBackup.jsx
+import React, { useState } from 'react';
+import { useWalletContext } from '../../context/WalletContext';
+import { getKeystoreAddress } from '../../services/WalletService';
+import { AlertTriangle, Download, Upload } from 'lucide-react';
+
+/**
+ * Shorten an address for display
+ * @param {string} address - Address
+ * @returns {string}
+ */
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const KeystoreBackup = () => {
+  const {
+    mainWallet,
+    gasWallet,
+    loading,
+    importGasWalletKeystore,
+    exportGasWalletKeystore,
+    getDerivedGasWalletAddress
+  } = useWalletContext();
+  
+  const [mode, setMode] = useState(null); // null, 'export' or 'import'
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [keystoreFile, setKeystoreFile] = useState(null);
+  const [progress, setProgress] = useState(null);
+  
+  const derivedAddress = mainWallet.address ? getDerivedGasWalletAddress() : null;
+  const isMismatched = gasWallet.source === 'keystore' &&
+    derivedAddress &&
+    derivedAddress.toLowerCase() !== gasWallet.address.toLowerCase();
+  
+  const resetForm = () => {
+    setMode(null);
+    setPassword('');
+    setConfirmPassword('');
+    setKeystoreFile(null);
+    setProgress(null);
+  };
+  
+  const handleExport = async () => {
+    if (password !== confirmPassword) {
+      alert("Passwords don't match");
+      return;
+    }
+    
+    try {
+      setProgress(0);
+      const json = await exportGasWalletKeystore(password, setProgress);
+      
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `gas-wallet-${gasWallet.address}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      
+      resetForm();
+      alert("Keystore saved. Keep the file and its password safe - together they give full control of the gas wallet.");
+    } catch (error) {
+      setProgress(null);
+      alert(`Failed to export keystore: ${error.message}`);
+    }
+  };
+  
+  const handleImport = async () => {
+    try {
+      const json = await keystoreFile.text();
+      const address = getKeystoreAddress(json);
+      
+      // Compare against the wallet derived for the connected account before decrypting
+      if (mainWallet.connected && derivedAddress) {
+        if (derivedAddress.toLowerCase() !== address.toLowerCase()) {
+          const proceed = window.confirm(
+            `WARNING: This keystore is for gas wallet ${shortAddress(address)}, but the gas wallet ` +
+            `for your connected account ${shortAddress(mainWallet.address)} is ${shortAddress(derivedAddress)}.\n\n` +
+            `Your score and funds in ${shortAddress(derivedAddress)} won't be shown while the imported wallet is in use. Import anyway?`
+          );
+          if (!proceed) return;
+        }
+      } else {
+        // New device or another account - nothing to compare against
+        const proceed = window.confirm(
+          `WARNING: This keystore is for gas wallet ${shortAddress(address)}, but it couldn't be checked against ` +
+          (mainWallet.connected
+            ? `your connected account ${shortAddress(mainWallet.address)}: its gas wallet was never derived on this device.\n\n`
+            : `your account: no main wallet is connected.\n\n`) +
+          `Only import it if you're sure it's your gas wallet for this account. Import anyway?`
+        );
+        if (!proceed) return;
+      }
+      
+      setProgress(0);
+      await importGasWalletKeystore(json, password, setProgress);
+      resetForm();
+    } catch (error) {
+      setProgress(null);
+      alert(`Failed to import keystore: ${error.message}`);
+    }
+  };
+  
+  const isBusy = loading || progress !== null;
+  
+  return (
+    <div className="border-t border-gray-100 pt-2 mt-2">
+      {isMismatched && (
+        <div className="flex items-start text-xs text-red-700 bg-red-50 p-2 rounded mb-2">
+          <AlertTriangle size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+          <span>
+            The imported gas wallet ({shortAddress(gasWallet.address)}) is not the one derived for your
+            connected account ({shortAddress(derivedAddress)}). Reload the page to switch back.
+          </span>
+        </div>
+      )}
+      
+      {mode === null && (
+        <div className="flex gap-3 text-xs">
+          {gasWallet.instance && (
+            <button onClick={() => setMode('export')} className="text-blue-600 underline flex items-center">
+              <Download size={12} className="mr-1" />
+              Back up gas wallet
+            </button>
+          )}
+          <button onClick={() => setMode('import')} className="text-blue-600 underline flex items-center">
+            <Upload size={12} className="mr-1" />
+            Restore from backup
+          </button>
+        </div>
+      )}
+      
+      {mode !== null && (
+        <div className="border border-gray-200 rounded p-2 bg-gray-50 text-sm">
+          <div className="font-bold mb-1">
+            {mode === 'export' ? 'Export encrypted keystore' : 'Import keystore'}
+          </div>
+          
+          {mode === 'import' && (
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => setKeystoreFile(e.target.files[0] || null)}
+              className="block w-full text-xs mb-2"
+            />
+          )}
+          
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Keystore password"
+            autoComplete={mode === 'export' ? 'new-password' : 'current-password'}
+            className="border border-gray-300 rounded px-2 py-1 w-full mb-2"
+          />
+          
+          {mode === 'export' && (
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Confirm password"
+              autoComplete="new-password"
+              className="border border-gray-300 rounded px-2 py-1 w-full mb-2"
+            />
+          )}
+          
+          <div className="flex items-center gap-2">
+            <button
+              onClick={mode === 'export' ? handleExport : handleImport}
+              disabled={isBusy || !password || (mode === 'import' && !keystoreFile)}
+              className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white px-3 py-1 rounded text-sm"
+            >
+              {progress !== null
+                ? `${mode === 'export' ? 'Encrypting' : 'Decrypting'} ${Math.round(progress * 100)}%`
+                : mode === 'export' ? 'Download' : 'Import'}
+            </button>
+            <button onClick={resetForm} disabled={isBusy} className="text-gray-500 text-sm">
+              Cancel
+            </button>
+          </div>
+          
+          <div className="text-xs text-gray-500 mt-1">
+            {mode === 'export'
+              ? 'Web3 Secret Storage JSON, also readable by most wallets. Anyone with the file and password controls the gas wallet.'
+              : 'Restores the gas wallet without signing with your main wallet.'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KeystoreBackup;
@@ -0,0 +1,72 @@
+// src/components/wallet/RememberDevice.jsx
+import React, { useState } from 'react';
+import { useWalletContext } from '../../context/WalletContext';
+import deviceKeyStore, { REMEMBER_DURATIONS, DEFAULT_REMEMBER_DURATION } from '../../services/DeviceKeyStore';
+
+const RememberDevice = () => {
+  const { mainWallet, gasWallet, rememberDevice, forgetDevice } = useWalletContext();
+  const [duration, setDuration] = useState(DEFAULT_REMEMBER_DURATION);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  // Only derived wallets need the signature, and the key is stored per main wallet
+  if (gasWallet.source !== 'derived' || !mainWallet.address || !deviceKeyStore.isSupported()) return null;
+  
+  const handleRemember = async () => {
+    setIsSaving(true);
+    try {
+      await rememberDevice(duration);
+    } catch (error) {
+      alert(`Failed to remember this device: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  const handleForget = async () => {
+    setIsSaving(true);
+    try {
+      await forgetDevice();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  return (
+    <div className="border-t border-gray-100 pt-2 mt-2 text-xs text-gray-600">
+      {gasWallet.rememberedUntil ? (
+        <div className="flex items-center justify-between">
+          <span>
+            Remembered on this device until {new Date(gasWallet.rememberedUntil).toLocaleString()}
+          </span>
+          <button onClick={handleForget} disabled={isSaving} className="text-blue-600 underline ml-2">
+            Forget this device
+          </button>
+        </div>
+      ) : (
+        <div>
+          <div className="flex items-center">
+            <button onClick={handleRemember} disabled={isSaving} className="text-blue-600 underline mr-1">
+              {isSaving ? 'Saving...' : 'Remember this device'}
+            </button>
+            for
+            <select
+              value={duration}
+              onChange={(e) => setDuration(Number(e.target.value))}
+              disabled={isSaving}
+              className="border border-gray-300 rounded ml-1"
+            >
+              {REMEMBER_DURATIONS.map(option => (
+                <option key={option.ms} value={option.ms}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="text-gray-500 mt-1">
+            Skips the signature prompt on reload. The gas wallet key is stored encrypted in this browser - only use this on a device you trust.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RememberDevice;
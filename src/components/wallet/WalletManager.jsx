@@ -1,11 +1,28 @@
 // src/components/wallet/WalletManager.jsx
 import React, { useState } from 'react';
+import { ethers } from 'ethers';
 import { useWalletContext } from '../../context/WalletContext';
 import { AlertTriangle, AlertCircle } from 'lucide-react';
+import KeystoreBackup from './KeystoreBackup';
+import GasWalletMigration from './GasWalletMigration';
+import RememberDevice from './RememberDevice';
+import AutoTopUp from './AutoTopUp';
+import { FEE_PRESETS } from '../../services/FeeStrategy';
 
 const WalletManager = () => {
-  const { mainWallet, gasWallet, loading, connectMainWallet, fundGasWallet } = useWalletContext();
+  const {
+    mainWallet,
+    gasWallet,
+    loading,
+    connectMainWallet,
+    fundGasWallet,
+    prepareGasWalletWithdrawal,
+    withdrawFromGasWallet,
+    feePreset,
+    changeFeePreset
+  } = useWalletContext();
   const [fundAmount, setFundAmount] = useState("0.01");
+  const [withdrawAmount, setWithdrawAmount] = useState("");
   
   const handleConnect = async () => {
     try {
@@ -24,6 +41,28 @@ const WalletManager = () => {
     }
   };
   
+  // Withdraw a chosen amount, or everything minus the transfer fee when withdrawAll is set
+  const handleWithdraw = async (withdrawAll = false) => {
+    try {
+      const amount = withdrawAll ? null : withdrawAmount;
+      const withdrawal = await prepareGasWalletWithdrawal(amount);
+      const { value, fee } = withdrawal;
+      
+      const confirmed = window.confirm(
+        `Withdraw ${ethers.utils.formatEther(value)} MON to ${mainWallet.address.slice(0, 6)}...${mainWallet.address.slice(-4)}?\n` +
+        `Network fee: ${ethers.utils.formatEther(fee)} MON`
+      );
+      if (!confirmed) return;
+      
+      // Send what was confirmed - preparing again could pick up a new balance or gas price
+      await withdrawFromGasWallet(withdrawal);
+      setWithdrawAmount("");
+      alert(`Successfully withdrew ${ethers.utils.formatEther(value)} MON to your main wallet`);
+    } catch (error) {
+      alert(`Failed to withdraw from gas wallet: ${error.message}`);
+    }
+  };
+  
   // Wallet connection UI
   const renderWalletConnect = () => (
     <div className="fixed top-4 right-4 flex flex-col items-end z-10">
@@ -44,14 +83,28 @@ const WalletManager = () => {
   
   // Gas wallet UI
   const renderGasWallet = () => {
-    if (!mainWallet.connected) return null;
+    // Without a main wallet the only way in is restoring a keystore backup
+    if (!mainWallet.connected && !gasWallet.instance) {
+      return (
+        <div className="bg-white rounded-lg shadow-lg p-4 w-full max-w-md mb-4 text-sm">
+          <div className="text-gray-600">
+            Wallet extension unavailable, or switched wallets? Restore your gas wallet from a keystore backup to keep playing.
+          </div>
+          <KeystoreBackup />
+        </div>
+      );
+    }
     
     return (
       <div className="bg-white rounded-lg shadow-lg p-4 w-full max-w-md mb-4">
         <h2 className="font-bold text-lg mb-2">Persistent Gas Wallet</h2>
         <div className="flex items-center justify-between mb-2">
           <div className="text-sm">
-            <div>Address: {gasWallet.address.slice(0, 6)}...{gasWallet.address.slice(-4)}</div>
+            <div>
+              Address: {gasWallet.address.slice(0, 6)}...{gasWallet.address.slice(-4)}
+              {gasWallet.source === 'keystore' && <span className="text-gray-500"> (imported)</span>}
+              {gasWallet.derivationVersion && <span className="text-gray-400"> v{gasWallet.derivationVersion}</span>}
+            </div>
             <div className={`${parseFloat(gasWallet.balance) < 0.01 ? 'text-red-600 font-bold' : ''}`}>
               Balance: {gasWallet.balance} MON
             </div>
@@ -65,16 +118,58 @@ const WalletManager = () => {
             />
             <button 
               onClick={handleFund}
-              disabled={loading}
+              disabled={loading || !mainWallet.signer}
               className="bg-blue-500 hover:bg-blue-600 disabled:bg-blue-300 text-white px-3 py-1 rounded text-sm"
             >
               Fund
             </button>
           </div>
         </div>
+        <div className="flex items-center justify-end mb-2">
+          <input 
+            type="text" 
+            value={withdrawAmount}
+            onChange={(e) => setWithdrawAmount(e.target.value)}
+            placeholder="0.0"
+            className="border border-gray-300 rounded px-2 py-1 w-20 text-center mr-2"
+          />
+          <button 
+            onClick={() => handleWithdraw(false)}
+            disabled={loading || !withdrawAmount || !mainWallet.address}
+            className="bg-gray-500 hover:bg-gray-600 disabled:bg-gray-300 text-white px-3 py-1 rounded text-sm mr-2"
+          >
+            Withdraw
+          </button>
+          <button 
+            onClick={() => handleWithdraw(true)}
+            disabled={loading || !mainWallet.address || gasWallet.balance === "0" || gasWallet.balance === "0.0"}
+            className="bg-gray-500 hover:bg-gray-600 disabled:bg-gray-300 text-white px-3 py-1 rounded text-sm"
+            title="Send everything minus the network fee back to your main wallet"
+          >
+            Withdraw All
+          </button>
+        </div>
         <div className="text-xs text-gray-500">
-          This wallet is automatically created and persists between sessions. Fund it with MON to automate transactions.
+          This wallet is automatically created and persists between sessions. Fund it with MON to automate transactions, and withdraw back to your main wallet at any time.
+        </div>
+        <div className="flex items-center text-xs text-gray-600 border-t border-gray-100 pt-2 mt-2">
+          Transaction fees:
+          {Object.entries(FEE_PRESETS).map(([preset, { label }]) => (
+            <button
+              key={preset}
+              onClick={() => changeFeePreset(preset)}
+              className={`ml-2 px-2 py-0.5 rounded ${
+                feePreset === preset ? 'bg-amber-500 text-white' : 'bg-gray-200 text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
+        <AutoTopUp />
+        <RememberDevice />
+        <GasWalletMigration />
+        <KeystoreBackup />
       </div>
     );
   };
@@ -82,7 +177,7 @@ const WalletManager = () => {
   // Wallet warnings
   const renderWalletWarnings = () => {
     // Only render warnings if wallet is connected
-    if (!mainWallet.connected || !gasWallet.address) return null;
+    if (!gasWallet.address) return null;
     
     // Check if balance is zero
     if (gasWallet.balance === "0") {
@@ -12,4 +12,19 @@ export const MONAD_TESTNET = {
     "https://testnet-rpc.monad.xyz/",
   ],
   blockExplorerUrls: ["https://testnet.monadexplorer.com/"],
-};
\ No newline at end of file
+};
+
+// RPC endpoints for the ApiManager pool. Set VITE_MONAD_RPC_URLS to a
+// comma-separated list to spread requests across additional (e.g. private) nodes.
+const configuredRpcUrls = (import.meta.env?.VITE_MONAD_RPC_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+export const RPC_ENDPOINTS = configuredRpcUrls.length > 0
+  ? configuredRpcUrls
+  : MONAD_TESTNET.rpcUrls;
+
+// Optional WebSocket endpoint for eth_subscribe (new blocks and contract logs).
+// When unset or unreachable the app polls over HTTP.
+export const RPC_WS_URL = import.meta.env?.VITE_MONAD_WS_URL || null;
@@ -31,4 +31,12 @@ export const COOKIE_CLICKER_ABI = [
     "event Click(address indexed player, uint256 newScore)",
     "event Redeem(address indexed player, uint256 score, uint256 tokens)",
     "event ContractFunded(address indexed funder, uint256 amount)"
-  ];
\ No newline at end of file
+  ];
+
+// Multicall3 is deployed at the same address on most EVM chains. Override with
+// VITE_MULTICALL_ADDRESS if the network uses a different deployment.
+export const MULTICALL3_ADDRESS = import.meta.env?.VITE_MULTICALL_ADDRESS || "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+export const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+  ];
@@ -1,17 +1,24 @@
 // src/context/GameContext.jsx
-import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
 import { useWalletContext } from './WalletContext';
 import { TransactionContext, useTransactionContext } from './TransactionContext';
-import { 
-  getPlayerScore, 
-  getRedeemableTokens, 
-  getTokenBalance, 
-  getClicksPerToken,
-  checkContractHasTokens
-} from '../services/ContractService';
-import { recordClick, redeemCookies } from '../services/TransactionService';
+import { getTokenBalance, getPlayerData } from '../services/ContractService';
+import { recordClick, redeemCookies, transferCookies, getRawCookieBalance, getFeePaid, getClickStats, startClickPool, stopClickPipeline } from '../services/TransactionService';
+import { COOKIE_CLICKER_ADDRESS, COOKIE_CLICKER_ABI } from '../constants/contracts';
 import apiManager from '../services/ApiManager';
+import contractEventWatcher from '../services/ContractEventWatcher';
+import subscriptionService from '../services/SubscriptionService';
+import tabCoordinator from '../services/TabCoordinator';
+import metrics from '../services/MetricsRegistry';
+
+// Fees paid per confirmed click, by fee preset - for comparing the eco, normal and fast strategies
+const clickFeesPaid = metrics.counter('click_fees_paid_mon_total', 'MON paid in fees for confirmed clicks, by fee preset');
+const clickGasPrice = metrics.histogram(
+  'click_effective_gas_price_gwei',
+  'Effective gas price paid by confirmed clicks, by fee preset',
+  [1, 2, 5, 10, 25, 50, 75, 100, 150, 200, 500]
+);
 
 // Create error tracking module
 const errorTracker = {
@@ -54,6 +61,61 @@ const errorTracker = {
   }
 };
 
+// localStorage key for the opt-in auto-forward of redeemed $COOKIE
+const AUTO_FORWARD_KEY = 'cookie-auto-forward';
+
+// localStorage key for the redeem txs any tab has already forwarded, and how many are remembered
+const FORWARDED_REDEEMS_KEY = 'cookie-forwarded-redeems';
+const MAX_FORWARDED_REDEEMS = 100;
+
+// How long the leader leaves a redeem seen as a contract event to the tab that sent it
+const REDEEM_FORWARD_GRACE_MS = 30 * 1000;
+
+/**
+ * Record a redeem as forwarded in storage shared by every tab
+ * @param {string} txHash - Redeem transaction hash
+ * @returns {boolean} - False if some tab already forwarded it
+ */
+const claimRedeemForward = (txHash) => {
+  let forwarded = [];
+  try {
+    forwarded = JSON.parse(localStorage.getItem(FORWARDED_REDEEMS_KEY)) || [];
+  } catch (error) {
+    // Unreadable record - start a new one
+  }
+  
+  if (forwarded.includes(txHash)) return false;
+  
+  localStorage.setItem(FORWARDED_REDEEMS_KEY, JSON.stringify([txHash, ...forwarded].slice(0, MAX_FORWARDED_REDEEMS)));
+  return true;
+};
+
+const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
+
+/**
+ * Total $COOKIE a receipt's Redeem events paid out to a player
+ * @param {ethers.providers.TransactionReceipt} receipt - Confirmed receipt
+ * @param {string} player - Player (gas wallet) address
+ * @returns {ethers.BigNumber|null} Redeemed amount in wei, or null if the receipt has no Redeem for the player
+ */
+const getRedeemedTokens = (receipt, player) => {
+  let total = null;
+  
+  for (const log of receipt?.logs || []) {
+    if (log.address.toLowerCase() !== COOKIE_CLICKER_ADDRESS.toLowerCase()) continue;
+    try {
+      const parsed = clickerInterface.parseLog(log);
+      if (parsed.name === 'Redeem' && parsed.args.player.toLowerCase() === player.toLowerCase()) {
+        total = (total || ethers.BigNumber.from(0)).add(parsed.args.tokens);
+      }
+    } catch (error) {
+      // Not one of the clicker's events
+    }
+  }
+  
+  return total;
+};
+
 const GameContext = createContext();
 
 export const useGameContext = () => useContext(GameContext);
@@ -65,6 +127,11 @@ export const GameProvider = ({ children }) => {
   const [confirmedScore, setConfirmedScore] = useState(0);
   const [pendingClicks, setPendingClicks] = useState(0);
   const [cookieBalance, setCookieBalance] = useState('0');
+  const [mainCookieBalance, setMainCookieBalance] = useState('0');
+  const [autoForwardCookies, setAutoForwardCookiesState] = useState(
+    () => localStorage.getItem(AUTO_FORWARD_KEY) === 'true'
+  );
+  const [isSendingCookies, setIsSendingCookies] = useState(false);
   const [redeemableTokens, setRedeemableTokens] = useState('0');
   const [clicksPerToken, setClicksPerToken] = useState(10);
   const [cookies, setCookies] = useState([]);
@@ -72,6 +139,20 @@ export const GameProvider = ({ children }) => {
   const [dataLoadError, setDataLoadError] = useState(null);
   const [networkStatus, setNetworkStatus] = useState('online');
   const [lastRefresh, setLastRefresh] = useState(0);
+  const [dataIsStale, setDataIsStale] = useState(false);
+  const [liveUpdates, setLiveUpdates] = useState(subscriptionService.isConnected());
+  const [clickStats, setClickStats] = useState(null);
+  
+  // Cache keys currently showing stale (persisted, not yet revalidated) values
+  const staleKeysRef = useRef(new Set());
+  
+  // Latest auto-forward setting and sender for redeem confirmations
+  const autoForwardRef = useRef(autoForwardCookies);
+  const sendCookiesRef = useRef(null);
+  const sendingCookiesRef = useRef(false);
+  
+  // Sends forwards one after another
+  const forwardQueueRef = useRef(Promise.resolve());
   
   // Constants
   const MIN_REFRESH_INTERVAL = 15 * 1000; // 15 seconds
@@ -93,13 +174,19 @@ export const GameProvider = ({ children }) => {
     };
   }, []);
 
+  // Track whether new blocks and logs arrive over WebSocket (otherwise we poll)
+  useEffect(() => {
+    return subscriptionService.on('status', status => setLiveUpdates(status === 'connected'));
+  }, []);
+
   // Import useTransactionContext
   const { addPendingTransaction, updateTransaction, transactions } = useTransactionContext();
 
   // Handle cookie click without rate limiting
   const handleClick = useCallback(async (e) => {
     try {
-      if (!mainWallet.connected) {
+      // A gas wallet imported from a keystore can play without the main wallet
+      if (!mainWallet.connected && !gasWallet.instance) {
         throw new Error("Please connect your wallet first!");
       }
       
@@ -137,10 +224,19 @@ export const GameProvider = ({ children }) => {
         });
         
         // When transaction confirms, update confirmed score and decrease pending
-        response.wait().then(() => {
-          // Update transaction in history as confirmed
+        response.wait().then((receipt) => {
+          // Record what the click really cost, so fee presets can be compared
+          const { fee, gasPrice } = getFeePaid(receipt, response);
+          const feeLabels = { preset: response.feePreset || 'unknown' };
+          clickFeesPaid.inc(feeLabels, parseFloat(ethers.utils.formatEther(fee)));
+          clickGasPrice.observe(parseFloat(ethers.utils.formatUnits(gasPrice, 'gwei')), feeLabels);
+          
+          // Update transaction in history as confirmed (a resubmitted click confirms under a new hash)
           updateTransaction(txId, {
-            status: 'confirmed'
+            status: 'confirmed',
+            txHash: receipt.transactionHash,
+            fee: ethers.utils.formatEther(fee),
+            feePreset: response.feePreset
           });
           
           // Update game state
@@ -167,7 +263,10 @@ export const GameProvider = ({ children }) => {
           });
           
           setPendingClicks(prev => Math.max(0, prev - 1));
-          errorTracker.add(error, "Confirming click transaction");
+          // A cancellation the player asked for isn't an error
+          if (error.code !== ethers.errors.TRANSACTION_REPLACED) {
+            errorTracker.add(error, "Confirming click transaction");
+          }
         });
       } catch (error) {
         // Update transaction as failed
@@ -200,7 +299,7 @@ export const GameProvider = ({ children }) => {
   // Handle redeeming cookies for tokens
   const handleRedeem = useCallback(async (amount = 0) => {
     try {
-      if (!mainWallet.connected) {
+      if (!mainWallet.connected && !gasWallet.instance) {
         throw new Error("Please connect your wallet first!");
       }
       
@@ -258,12 +357,16 @@ export const GameProvider = ({ children }) => {
         });
         
         // Wait for transaction to complete and refresh data
-        response.wait().then(() => {
+        response.wait().then((receipt) => {
           // Update transaction as confirmed
           updateTransaction(txId, {
-            status: 'confirmed'
+            status: 'confirmed',
+            txHash: receipt.transactionHash
           });
           
+          // Redeemed tokens land in the gas wallet - pass them on to the main wallet if opted in
+          forwardRedeem(receipt.transactionHash, getRedeemedTokens(receipt, gasWallet.address));
+          
           // First refresh token balance immediately - this is the most important update
           refreshTokenBalance();
           
@@ -295,6 +398,7 @@ export const GameProvider = ({ children }) => {
     mainWallet.connected, 
     gasWallet.instance, 
     gasWallet.balance, 
+    gasWallet.address,
     contractHasTokens, 
     confirmedScore, 
     clicksPerToken, 
@@ -318,11 +422,115 @@ export const GameProvider = ({ children }) => {
       
       // Update state
       setCookieBalance(balance);
+      
+      // Forwarded tokens show up in the main wallet
+      if (mainWallet.address) {
+        apiManager.clearCache(`token-balance:${mainWallet.address}`);
+        setMainCookieBalance(await getTokenBalance(mainWallet.provider, mainWallet.address));
+      }
     } catch (error) {
+      if (apiManager.isAbortError(error)) return; // Wallet changed while loading
       console.error("Error refreshing token balance:", error);
       errorTracker.add(error, "Refreshing token balance");
     }
-  }, [mainWallet.provider, gasWallet.address]);
+  }, [mainWallet.provider, mainWallet.address, gasWallet.address]);
+  
+  // Turn auto-forwarding of redeemed $COOKIE on or off (remembered across sessions)
+  const setAutoForwardCookies = useCallback((enabled) => {
+    localStorage.setItem(AUTO_FORWARD_KEY, enabled ? 'true' : 'false');
+    autoForwardRef.current = enabled;
+    setAutoForwardCookiesState(enabled);
+  }, []);
+  
+  // Follow the setting when another tab changes it
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== AUTO_FORWARD_KEY) return;
+      autoForwardRef.current = event.newValue === 'true';
+      setAutoForwardCookiesState(autoForwardRef.current);
+    };
+    
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+  
+  // Send $COOKIE from the gas wallet to the main wallet - the given amount, or the whole balance
+  const sendCookiesToMainWallet = useCallback(async (requested = null) => {
+    if (!mainWallet.address || !gasWallet.instance) {
+      throw new Error("Please connect your wallet first!");
+    }
+    
+    // One transfer at a time - a second would try to send the same tokens again
+    if (sendingCookiesRef.current) return null;
+    sendingCookiesRef.current = true;
+    setIsSendingCookies(true);
+    
+    try {
+      // Never ask for more than the wallet holds (a manual send may already have moved it)
+      const balance = await getRawCookieBalance(gasWallet.address);
+      const amount = requested && requested.lt(balance) ? requested : balance;
+      if (amount.isZero()) return null;
+      
+      const tokens = ethers.utils.formatUnits(amount, 18);
+      const txId = addPendingTransaction('Transfer', { tokens });
+      
+      try {
+        const response = await transferCookies(gasWallet.instance, mainWallet.address, amount);
+        
+        updateTransaction(txId, {
+          txHash: response.hash,
+          status: 'processing'
+        });
+        
+        await response.wait();
+        
+        updateTransaction(txId, {
+          status: 'confirmed'
+        });
+        
+        refreshTokenBalance();
+        return response.hash;
+      } catch (error) {
+        updateTransaction(txId, {
+          status: 'failed',
+          error: error.message
+        });
+        
+        throw error;
+      }
+    } catch (error) {
+      errorTracker.add(error, "Sending $COOKIE to main wallet");
+      throw error;
+    } finally {
+      sendingCookiesRef.current = false;
+      setIsSendingCookies(false);
+    }
+  }, [
+    mainWallet.address,
+    gasWallet.instance,
+    gasWallet.address,
+    addPendingTransaction,
+    updateTransaction,
+    refreshTokenBalance
+  ]);
+  
+  useEffect(() => {
+    sendCookiesRef.current = sendCookiesToMainWallet;
+  }, [sendCookiesToMainWallet]);
+  
+  // Auto-forward the $COOKIE one redeem paid out, if opted in. The tab that sent the redeem forwards it;
+  // the shared record keeps the leader, which also sees it as a contract event, from sending it again.
+  const forwardRedeem = useCallback((txHash, tokens) => {
+    if (!autoForwardRef.current || !tokens || tokens.isZero()) return;
+    if (!claimRedeemForward(txHash)) return;
+    
+    // Queued so back-to-back redeems aren't dropped by the one-transfer-at-a-time guard
+    forwardQueueRef.current = forwardQueueRef.current
+      .then(() => sendCookiesRef.current(tokens))
+      .catch(error => {
+        errorTracker.add(error, "Auto-forwarding $COOKIE");
+      });
+  }, []);
   
   // Load user data with optimization
   const loadUserData = useCallback(async (forceRefresh = false) => {
@@ -341,78 +549,67 @@ export const GameProvider = ({ children }) => {
       // Clear any existing data load error
       setDataLoadError(null);
       
-      // Fetch player score and token balance with highest priority
-      try {
-        console.log("Fetching player score for address:", gasWallet.address);
-        
-        // Clear these specific caches to force a fresh fetch
-        if (forceRefresh) {
-          apiManager.clearCache(`player-score:${gasWallet.address}`);
-          apiManager.clearCache(`token-balance:${gasWallet.address}`);
-          apiManager.clearCache(`redeemable-tokens:${gasWallet.address}`);
+      // Clear these specific caches to force a fresh fetch
+      if (forceRefresh) {
+        apiManager.clearCache(`player-score:${gasWallet.address}`);
+        apiManager.clearCache(`token-balance:${gasWallet.address}`);
+        apiManager.clearCache(`redeemable-tokens:${gasWallet.address}`);
+        if (mainWallet.address) {
+          apiManager.clearCache(`token-balance:${mainWallet.address}`);
         }
-        
-        // Get player score (this should be quick due to our updated API manager settings)
-        const score = await getPlayerScore(mainWallet.provider, gasWallet.address);
-        console.log("Received player score:", score);
-        
-        // Update state
-        setConfirmedScore(score);
+      }
+      
+      // Only fetch contract config occasionally or when forced
+      const includeConfig = forceRefresh || !clicksPerToken || clicksPerToken === 0;
+      
+      // Score, token balance and contract configuration in a single multicall
+      console.log("Fetching player data for address:", gasWallet.address);
+      // The main wallet balance rides along in the same batch; a failure there shouldn't block game data
+      const [data, mainBalance] = await Promise.all([
+        getPlayerData(mainWallet.provider, gasWallet.address, { includeConfig }),
+        mainWallet.address
+          ? getTokenBalance(mainWallet.provider, mainWallet.address).catch(error => {
+              console.warn("Error loading main wallet token balance:", error.message);
+              return undefined;
+            })
+          : undefined
+      ]);
+      console.log("Received player data:", data);
+      
+      if (mainBalance !== undefined) {
+        setMainCookieBalance(mainBalance);
+      }
+      
+      const currentClicksPerToken = data.clicksPerToken || clicksPerToken;
+      
+      if (data.score !== undefined) {
+        setConfirmedScore(data.score);
         
         // Calculate redeemable tokens based on this score
-        const redeemable = Math.floor(score / clicksPerToken);
+        const redeemable = Math.floor(data.score / currentClicksPerToken);
         setRedeemableTokens(redeemable.toString());
-      } catch (error) {
-        console.error("Error getting player score:", error);
-        errorTracker.add(error, "Getting player score");
       }
       
-      // Fetch token balance
-      try {
-        console.log("Fetching token balance for address:", gasWallet.address);
-        const balance = await getTokenBalance(mainWallet.provider, gasWallet.address);
-        console.log("Received token balance:", balance);
-        
-        // Update state
-        setCookieBalance(balance);
-      } catch (error) {
-        console.error("Error loading token balance:", error);
-        errorTracker.add(error, "Loading token balance");
+      if (data.tokenBalance !== undefined) {
+        setCookieBalance(data.tokenBalance);
       }
       
-      // Fetch contract configuration (lower priority data that doesn't change often)
-      try {
-        // Only fetch contract config occasionally or when forced
-        if (forceRefresh || !clicksPerToken || clicksPerToken === 0) {
-          console.log("Fetching contract configuration");
-          
-          // Batch fetch contract configuration
-          const [clicksPerTokenRes, hasTokens] = await Promise.all([
-            getClicksPerToken(mainWallet.provider),
-            checkContractHasTokens(mainWallet.provider)
-          ]);
-          
-          console.log("Received contract configuration:", { 
-            clicksPerToken: clicksPerTokenRes, 
-            hasTokens 
-          });
-          
-          // Update state
-          setClicksPerToken(clicksPerTokenRes);
-          setContractHasTokens(hasTokens);
-        }
-      } catch (error) {
-        console.error("Error loading contract config:", error);
-        errorTracker.add(error, "Loading contract config");
+      if (data.clicksPerToken !== undefined) {
+        setClicksPerToken(data.clicksPerToken);
       }
       
+      if (data.contractHasTokens !== undefined) {
+        setContractHasTokens(data.contractHasTokens);
+      }
     } catch (error) {
+      if (apiManager.isAbortError(error)) return; // Wallet changed while loading
       console.error("Error loading user data:", error);
       errorTracker.add(error, "Loading user data");
       setDataLoadError("Failed to load game data. Will retry soon.");
     }
   }, [
     mainWallet.provider, 
+    mainWallet.address,
     gasWallet.address, 
     networkStatus, 
     clicksPerToken,
@@ -430,34 +627,195 @@ export const GameProvider = ({ children }) => {
     return () => clearTimeout(timer);
   }, [cookies]);
   
-  // Periodic data refresh - simplified to reduce API calls but still get updates
+  // Apply a cached value for this player to game state
+  const applyCachedValue = useCallback((key, value, stale) => {
+    const address = gasWallet.address;
+    
+    if (key === `player-score:${address}`) {
+      setConfirmedScore(value);
+    } else if (key === `token-balance:${address}`) {
+      setCookieBalance(value);
+    } else if (mainWallet.address && key === `token-balance:${mainWallet.address}`) {
+      setMainCookieBalance(value);
+    } else if (key === 'clicks-per-token') {
+      setClicksPerToken(value);
+    } else if (key === 'contract-has-tokens') {
+      setContractHasTokens(value);
+    } else {
+      return;
+    }
+    
+    if (stale) {
+      staleKeysRef.current.add(key);
+    } else {
+      staleKeysRef.current.delete(key);
+    }
+    setDataIsStale(staleKeysRef.current.size > 0);
+  }, [gasWallet.address, mainWallet.address]);
+  
+  // Show persisted values right away, then follow fresh results and background revalidations
+  const restoreCachedData = useCallback(async () => {
+    await apiManager.cacheHydrated;
+    
+    const keys = [
+      `player-score:${gasWallet.address}`,
+      `token-balance:${gasWallet.address}`,
+      'clicks-per-token',
+      'contract-has-tokens'
+    ];
+    if (mainWallet.address) {
+      keys.push(`token-balance:${mainWallet.address}`);
+    }
+    
+    for (const key of keys) {
+      const entry = apiManager.getCacheEntry(key);
+      if (entry) {
+        applyCachedValue(key, entry.value, entry.stale);
+      }
+    }
+  }, [gasWallet.address, mainWallet.address, applyCachedValue]);
+  
+  useEffect(() => {
+    if (!gasWallet.address) return;
+    
+    staleKeysRef.current.clear();
+    setDataIsStale(false);
+    
+    return apiManager.subscribeToCache((key, value, { stale }) => {
+      applyCachedValue(key, value, stale);
+    });
+  }, [gasWallet.address, applyCachedValue]);
+  
+  // Follow the click pipeline's throughput, and stop it once the gas wallet is replaced
   useEffect(() => {
-    if (mainWallet.provider && mainWallet.address && gasWallet.address) {
-      console.log("Setting up periodic data refresh");
+    const instance = gasWallet.instance;
+    if (!instance) {
+      setClickStats(null);
+      return;
+    }
+    
+    const readStats = () => {
+      const next = getClickStats(instance);
+      // Skip renders while nothing changes
+      setClickStats(prev => (
+        prev && next &&
+        prev.queued === next.queued &&
+        prev.pooled === next.pooled &&
+        prev.sentPerSecond === next.sentPerSecond &&
+        prev.confirmedPerSecond === next.confirmedPerSecond
+      ) ? prev : next);
+    };
+    
+    const intervalId = setInterval(readStats, 1000);
+    return () => {
+      clearInterval(intervalId);
+      stopClickPipeline(instance);
+    };
+  }, [gasWallet.instance]);
+  
+  // Sign clicks ahead of time once the gas wallet can pay for them
+  const canClick = Boolean(gasWallet.instance) && parseFloat(gasWallet.balance) > 0;
+  useEffect(() => {
+    if (canClick) startClickPool(gasWallet.instance);
+  }, [canClick, gasWallet.instance]);
+  
+  // Cancel queued reads for a gas wallet once it is disconnected or replaced
+  useEffect(() => {
+    const address = gasWallet.address;
+    return () => {
+      if (address) apiManager.cancelByTag(address);
+    };
+  }, [gasWallet.address]);
+  
+  // Keep the latest loadUserData for long-lived subscriptions
+  const loadUserDataRef = useRef(loadUserData);
+  useEffect(() => {
+    loadUserDataRef.current = loadUserData;
+  }, [loadUserData]);
+  
+  // Follow contract events so cached score, balances and funding state stay current
+  useEffect(() => {
+    if (!gasWallet.address) return;
+    
+    let refreshTimer = null;
+    const forwardTimers = new Set();
+    contractEventWatcher.watch(gasWallet.address);
+    
+    const unsubscribe = contractEventWatcher.subscribe((event) => {
+      // Fallback for a redeem whose sending tab closed before it confirmed - give that tab time to forward it first
+      if (event.name === 'Redeem' && tabCoordinator.isLeader() &&
+          event.player?.toLowerCase() === gasWallet.address.toLowerCase()) {
+        const tokens = event.args?.tokens ? ethers.BigNumber.from(event.args.tokens) : null;
+        const timer = setTimeout(() => {
+          forwardTimers.delete(timer);
+          forwardRedeem(event.txHash, tokens);
+        }, REDEEM_FORWARD_GRACE_MS);
+        forwardTimers.add(timer);
+      }
       
-      // Initial load - immediately load user data
-      loadUserData(true);
+      // Applied payloads already reached state through the cache listener
+      if (event.applied) return;
       
-      // Use a single interval for all refreshes
-      const refreshInterval = setInterval(() => {
+      // Invalidated keys - re-read once events settle
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => loadUserDataRef.current(true), 1000);
+    });
+    
+    return () => {
+      clearTimeout(refreshTimer);
+      forwardTimers.forEach(timer => clearTimeout(timer));
+      unsubscribe();
+      contractEventWatcher.unwatch(gasWallet.address);
+    };
+  }, [gasWallet.address, forwardRedeem]);
+  
+  // Initial load - show persisted values first, then load fresh user data.
+  // Uses the ref so a new loadUserData identity (it changes on every refresh) doesn't re-run this.
+  useEffect(() => {
+    if (mainWallet.provider && gasWallet.address) {
+      restoreCachedData().then(() => loadUserDataRef.current(true));
+    }
+  }, [
+    mainWallet.provider, 
+    mainWallet.address, 
+    gasWallet.address,
+    restoreCachedData
+  ]);
+  
+  // Periodic data refresh - on new blocks while subscribed over WebSocket, on a timer otherwise
+  useEffect(() => {
+    if (mainWallet.provider && gasWallet.address) {
+      console.log(`Setting up ${liveUpdates ? 'block-driven' : 'periodic'} data refresh`);
+      
+      const refresh = () => {
         // Only refresh if tab is visible
         if (document.visibilityState === 'visible') {
-          loadUserData(false);
+          loadUserDataRef.current(false);
         }
-      }, 20000); // Check every 20 seconds
+      };
+      
+      let stopRefreshing;
+      if (liveUpdates) {
+        // loadUserData(false) throttles itself to MIN_REFRESH_INTERVAL
+        stopRefreshing = subscriptionService.on('block', refresh);
+      } else {
+        // Use a single interval for all refreshes
+        const refreshInterval = setInterval(refresh, 20000); // Check every 20 seconds
+        stopRefreshing = () => clearInterval(refreshInterval);
+      }
       
       // Additional full refresh for visibility changes
       const handleVisibilityChange = () => {
         if (document.visibilityState === 'visible') {
           // When tab becomes visible again, do a full refresh
-          loadUserData(true);
+          loadUserDataRef.current(true);
         }
       };
       
       document.addEventListener('visibilitychange', handleVisibilityChange);
       
       return () => {
-        clearInterval(refreshInterval);
+        stopRefreshing();
         document.removeEventListener('visibilitychange', handleVisibilityChange);
       };
     }
@@ -465,7 +823,7 @@ export const GameProvider = ({ children }) => {
     mainWallet.provider, 
     mainWallet.address, 
     gasWallet.address,
-    loadUserData
+    liveUpdates
   ]);
   
   // Force refresh after successful transactions
@@ -506,16 +864,24 @@ export const GameProvider = ({ children }) => {
     confirmedScore,
     pendingClicks,
     cookieBalance,
+    mainCookieBalance,
     redeemableTokens,
     clicksPerToken,
     cookies,
     contractHasTokens,
     networkStatus,
     dataLoadError,
+    dataIsStale,
+    liveUpdates,
+    autoForwardCookies,
+    isSendingCookies,
+    clickStats,
     handleClick,
     handleRedeem,
     loadUserData,
     refreshTokenBalance,
+    setAutoForwardCookies,
+    sendCookiesToMainWallet,
     mainWallet,
     gasWallet,
     recentErrors: errorTracker.getRecent()
@@ -524,16 +890,24 @@ export const GameProvider = ({ children }) => {
     confirmedScore,
     pendingClicks,
     cookieBalance,
+    mainCookieBalance,
     redeemableTokens,
     clicksPerToken,
     cookies,
     contractHasTokens,
     networkStatus,
     dataLoadError,
+    dataIsStale,
+    liveUpdates,
+    autoForwardCookies,
+    isSendingCookies,
+    clickStats,
     handleClick,
     handleRedeem,
     loadUserData,
     refreshTokenBalance,
+    setAutoForwardCookies,
+    sendCookiesToMainWallet,
     mainWallet,
     gasWallet
   ]);
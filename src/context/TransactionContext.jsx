@@ -2,6 +2,19 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { useWalletContext } from './WalletContext';
 import apiManager from '../services/ApiManager';
+import metrics from '../services/MetricsRegistry';
+
+const transactionsTotal = metrics.counter('transactions_total', 'Game transactions by type and final status');
+const confirmationSeconds = metrics.histogram(
+  'transaction_confirmation_seconds',
+  'Time from click (or redeem) to confirmation or failure, by type and status'
+);
+
+// Statuses that end a transaction's lifecycle
+const FINAL_STATUSES = ['confirmed', 'failed'];
+
+// How often the gas wallet is checked for a stuck transaction
+const STUCK_CHECK_INTERVAL = 5000;
 
 export const TransactionContext = createContext();
 
@@ -16,10 +29,13 @@ export const TransactionProvider = ({ children }) => {
   const [txQueue, setTxQueue] = useState([]);
   const [processingTxCount, setProcessingTxCount] = useState(0);
   const [networkStatus, setNetworkStatus] = useState('online');
+  const [stuckTransaction, setStuckTransaction] = useState(null);
+  const [isReplacing, setIsReplacing] = useState(false);
   
   // Refs for tracking state without re-renders
   const txQueueRef = useRef([]);
   const lastTxUpdateRef = useRef(0);
+  const txStartTimesRef = useRef(new Map()); // txId -> { type, startedAt } until confirmed or failed
   
   // Keep refs in sync with state
   useEffect(() => {
@@ -50,6 +66,11 @@ export const TransactionProvider = ({ children }) => {
       timestamp: new Date().toLocaleTimeString(),
       ...details
     };
+    txStartTimesRef.current.set(txId, { type, startedAt: Date.now() });
+    if (txStartTimesRef.current.size > 100) {
+      // Drop the oldest entry - it was never settled
+      txStartTimesRef.current.delete(txStartTimesRef.current.keys().next().value);
+    }
     
     setTransactions(prev => {
       // Check for duplicate transactions (prevent double-submits)
@@ -73,6 +94,15 @@ export const TransactionProvider = ({ children }) => {
   
   // Update transaction status
   const updateTransaction = useCallback((txId, details) => {
+    // Record click-to-confirmation latency once, when the transaction settles
+    const started = txStartTimesRef.current.get(txId);
+    if (started && FINAL_STATUSES.includes(details.status)) {
+      txStartTimesRef.current.delete(txId);
+      const labels = { type: started.type, status: details.status };
+      transactionsTotal.inc(labels);
+      confirmationSeconds.observe((Date.now() - started.startedAt) / 1000, labels);
+    }
+    
     setTransactions(prev => {
       // Mark that we just updated transactions
       lastTxUpdateRef.current = Date.now();
@@ -84,6 +114,47 @@ export const TransactionProvider = ({ children }) => {
     });
   }, []);
   
+  // Watch for a gas wallet transaction that blocks the nonces behind it
+  useEffect(() => {
+    if (!gasWallet.instance) {
+      setStuckTransaction(null);
+      return;
+    }
+    
+    const checkStuck = () => setStuckTransaction(gasWallet.instance.getStuckTransaction());
+    checkStuck();
+    
+    const intervalId = setInterval(checkStuck, STUCK_CHECK_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [gasWallet.instance]);
+  
+  // Speed up ('speedup') or cancel ('cancel') the stuck transaction, and point its history entry at the replacement
+  const replaceStuckTransaction = useCallback(async (mode) => {
+    if (!gasWallet.instance || !stuckTransaction) throw new Error("No stuck transaction");
+    
+    setIsReplacing(true);
+    try {
+      const replacement = await gasWallet.instance.replaceTransaction(stuckTransaction.nonce, mode);
+      
+      setTransactions(prev => prev.map(tx => (
+        // The original hash too - the history doesn't follow automatic resubmits until they confirm
+        tx.txHash === replacement.replacedHash || tx.txHash === replacement.originalHash
+          ? {
+              ...tx,
+              txHash: replacement.hash,
+              replacement: replacement.mode,
+              replacedHashes: [...(tx.replacedHashes || []), replacement.replacedHash]
+            }
+          : tx
+      )));
+      setStuckTransaction(gasWallet.instance.getStuckTransaction());
+      
+      return replacement;
+    } finally {
+      setIsReplacing(false);
+    }
+  }, [gasWallet.instance, stuckTransaction]);
+  
   // Simplified version - gets recent transactions from memory only
   // We no longer fetch transaction history from blockchain to save API calls
   const getRecentTransactions = useCallback(() => {
@@ -160,7 +231,10 @@ export const TransactionProvider = ({ children }) => {
     addPendingTransaction,
     updateTransaction,
     getRecentTransactions,
-    queueTransaction
+    queueTransaction,
+    stuckTransaction,
+    isReplacing,
+    replaceStuckTransaction
   };
   
   return (
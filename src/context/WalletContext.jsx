@@ -1,9 +1,34 @@
 // src/context/WalletContext.jsx
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
 import { connectWallet } from '../services/WalletService';
-import { PersistentGasWallet } from '../services/WalletService';
+import {
+  PersistentGasWallet,
+  getKnownGasWalletAddress,
+  getDerivationVersion,
+  rememberGasWallet,
+  DERIVATION_VERSIONS
+} from '../services/WalletService';
+import { getPlayerScore, getTokenBalance } from '../services/ContractService';
+import { transferCookies, getRawCookieBalance } from '../services/TransactionService';
 import { MONAD_TESTNET } from '../constants/blockchain'; 
+import subscriptionService from '../services/SubscriptionService';
+import tabCoordinator from '../services/TabCoordinator';
+import deviceKeyStore from '../services/DeviceKeyStore';
+import { getFeePreset, setFeePreset } from '../services/FeeStrategy';
+import {
+  loadTopUpPolicy,
+  saveTopUpPolicy,
+  loadTopUpHistory,
+  recordTopUp,
+  subscribeToTopUpChanges,
+  getTopUpAllowance,
+  checkTopUp,
+  DEFAULT_TOP_UP_POLICY
+} from '../services/TopUpPolicy';
+
+// After a rejected or failed top-up, wait this long before asking the main wallet again
+const TOP_UP_RETRY_DELAY = 10 * 60 * 1000;
 
 export const WalletContext = createContext();
 
@@ -23,9 +48,23 @@ export const WalletProvider = ({ children }) => {
     instance: null,
     address: '',
     balance: '0',
+    source: null, // 'derived' from a main wallet signature or 'keystore' when imported
+    derivationVersion: null,
+    rememberedUntil: null, // expiry of the key remembered on this device, if any
   });
   
   const [loading, setLoading] = useState(false);
+  const [liveUpdates, setLiveUpdates] = useState(subscriptionService.isConnected());
+  const [gasPrice, setGasPrice] = useState(null); // ethers.BigNumber, expected price per gas with the fee preset
+  const [feePreset, setFeePresetState] = useState(getFeePreset());
+  const lastBalanceUpdateRef = useRef(0);
+  
+  // Auto top-up state
+  const [topUpPolicy, setTopUpPolicy] = useState(DEFAULT_TOP_UP_POLICY);
+  const [topUpHistory, setTopUpHistory] = useState([]);
+  const [topUpNotice, setTopUpNotice] = useState(null); // why a needed top-up was held back
+  const topUpInFlightRef = useRef(false);
+  const topUpPausedUntilRef = useRef(0);
   
   // Connect main wallet
   const connectMainWallet = async () => {
@@ -47,6 +86,9 @@ export const WalletProvider = ({ children }) => {
         signer, // Keep original signer for transactions
       });
       
+      // An imported keystore wallet stays in use - deriving would ask for a signature and replace it
+      if (gasWallet.source === 'keystore') return;
+      
       // Initialize gas wallet with Alchemy provider
       await initializeGasWallet(alchemyProvider, address, signer);
     } catch (error) {
@@ -57,16 +99,43 @@ export const WalletProvider = ({ children }) => {
     }
   };
   
+  // Store a derived key on this device if the player opted in
+  const saveToDevice = async (wallet, userAddress) => {
+    const duration = deviceKeyStore.getRememberDuration(userAddress);
+    if (!duration) return null;
+    
+    try {
+      return await wallet.rememberOnDevice(userAddress, duration);
+    } catch (error) {
+      console.warn("Failed to remember gas wallet on this device:", error);
+      return null;
+    }
+  };
+  
   // Initialize gas wallet
   const initializeGasWallet = async (provider, userAddress, signer) => {
     try {
+      const version = getDerivationVersion(userAddress);
       const wallet = new PersistentGasWallet(provider);
-      const address = await wallet.create(userAddress, signer);
+      
+      // A key remembered on this device skips the signature prompt until it expires
+      let address = await wallet.restoreFromDevice(userAddress, version);
+      let rememberedUntil;
+      if (address) {
+        rememberedUntil = (await deviceKeyStore.getInfo(userAddress))?.expiresAt || null;
+      } else {
+        address = await wallet.create(userAddress, signer, version);
+        rememberedUntil = await saveToDevice(wallet, userAddress);
+      }
+      rememberGasWallet(userAddress, address, version);
       
       setGasWallet({
         instance: wallet,
         address,
         balance: ethers.utils.formatEther(await wallet.getBalance()),
+        source: 'derived',
+        derivationVersion: version,
+        rememberedUntil,
       });
     } catch (error) {
       console.error("Error initializing gas wallet:", error);
@@ -74,6 +143,150 @@ export const WalletProvider = ({ children }) => {
     }
   };
   
+  // Import the gas wallet from a keystore backup - works without a main wallet signature
+  const importGasWalletKeystore = async (json, password, onProgress) => {
+    setLoading(true);
+    try {
+      // Without a connected main wallet, read through the public RPC like connectMainWallet does
+      const provider = mainWallet.provider || new ethers.providers.JsonRpcProvider(MONAD_TESTNET.rpcUrls[0]);
+      const wallet = await PersistentGasWallet.fromKeystore(provider, json, password, onProgress);
+      
+      setGasWallet({
+        instance: wallet,
+        address: wallet.getAddress(),
+        balance: ethers.utils.formatEther(await wallet.getBalance()),
+        source: 'keystore',
+        derivationVersion: null,
+        rememberedUntil: null,
+      });
+      
+      if (!mainWallet.provider) {
+        setMainWallet(prev => ({ ...prev, provider }));
+      }
+      
+      return wallet.getAddress();
+    } catch (error) {
+      console.error("Error importing gas wallet keystore:", error);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Export the gas wallet as a password-encrypted keystore (Web3 Secret Storage JSON)
+  const exportGasWalletKeystore = async (password, onProgress) => {
+    if (!gasWallet.instance) throw new Error("Gas wallet not initialized");
+    return gasWallet.instance.exportKeystore(password, onProgress);
+  };
+  
+  // Gas wallet address derived for the connected main wallet, when known without asking for a signature
+  const getDerivedGasWalletAddress = () => {
+    if (gasWallet.source === 'derived') return gasWallet.address;
+    return getKnownGasWalletAddress(mainWallet.address);
+  };
+  
+  // Derive the gas wallet for every derivation version and read what each one holds
+  const compareGasWalletVersions = async () => {
+    if (!mainWallet.signer) throw new Error("Wallet not connected");
+    
+    const results = [];
+    // One at a time - each derivation asks the main wallet for a signature
+    for (const version of DERIVATION_VERSIONS) {
+      const inUse = gasWallet.source === 'derived' && gasWallet.derivationVersion === version;
+      let wallet = gasWallet.instance;
+      if (!inUse) {
+        wallet = new PersistentGasWallet(mainWallet.provider);
+        await wallet.create(mainWallet.address, mainWallet.signer, version);
+      }
+      
+      const address = wallet.getAddress();
+      const [balance, score, cookieBalance] = await Promise.all([
+        wallet.getBalance(true),
+        getPlayerScore(mainWallet.provider, address),
+        getTokenBalance(mainWallet.provider, address)
+      ]);
+      
+      results.push({
+        version,
+        wallet,
+        address,
+        inUse,
+        balance: ethers.utils.formatEther(balance),
+        score,
+        cookieBalance
+      });
+    }
+    
+    return results;
+  };
+  
+  // Make a derived gas wallet the one in use for this account
+  const switchGasWallet = async (wallet) => {
+    rememberGasWallet(mainWallet.address, wallet.getAddress(), wallet.derivationVersion);
+    // Replaces the remembered key, which belonged to the previous version
+    const rememberedUntil = await saveToDevice(wallet, mainWallet.address);
+    
+    setGasWallet({
+      instance: wallet,
+      address: wallet.getAddress(),
+      balance: ethers.utils.formatEther(await wallet.getBalance(true)),
+      source: 'derived',
+      derivationVersion: wallet.derivationVersion,
+      rememberedUntil,
+    });
+  };
+  
+  // Opt in to keeping the derived key on this device, so reloads don't ask for a signature
+  const rememberDevice = async (duration) => {
+    if (!gasWallet.instance || !mainWallet.address) throw new Error("Wallet not connected");
+    
+    const rememberedUntil = await gasWallet.instance.rememberOnDevice(mainWallet.address, duration);
+    deviceKeyStore.setRememberDuration(mainWallet.address, duration);
+    setGasWallet(prev => ({ ...prev, rememberedUntil }));
+    return rememberedUntil;
+  };
+  
+  // Delete the remembered key and opt out - the next load asks for the signature again
+  const forgetDevice = async () => {
+    if (!mainWallet.address) return;
+    
+    deviceKeyStore.setRememberDuration(mainWallet.address, null);
+    await deviceKeyStore.forget(mainWallet.address);
+    setGasWallet(prev => ({ ...prev, rememberedUntil: null }));
+  };
+  
+  // Sweep $COOKIE and MON from one derived gas wallet to another, then switch to the destination.
+  // The clicker score is tied to the old address and can't be moved.
+  const migrateGasWallet = async (fromWallet, toWallet, onStep = () => {}) => {
+    setLoading(true);
+    try {
+      const destination = toWallet.getAddress();
+      
+      // Tokens first - the transfer is paid for with the MON that gets swept next
+      const cookies = await getRawCookieBalance(fromWallet.getAddress());
+      if (!cookies.isZero()) {
+        onStep(`Sending ${ethers.utils.formatUnits(cookies, 18)} $COOKIE`);
+        const tx = await transferCookies(fromWallet, destination, cookies);
+        await tx.wait();
+      }
+      
+      const balance = await fromWallet.getBalance(true);
+      if (!balance.isZero()) {
+        onStep(`Sending ${ethers.utils.formatEther(balance)} MON minus the transfer fee`);
+        const tx = await fromWallet.withdraw(destination, null);
+        await tx.wait();
+      }
+      
+      onStep(`Switching to v${toWallet.derivationVersion}`);
+      await switchGasWallet(toWallet);
+    } catch (error) {
+      console.error("Error migrating gas wallet:", error);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
   // Fund gas wallet
   const fundGasWallet = async (amount) => {
     if (!mainWallet.signer || !gasWallet.address) throw new Error("Wallet not connected");
@@ -106,21 +319,117 @@ export const WalletProvider = ({ children }) => {
     }
   };
   
-  // Update gas wallet balance
-  const updateGasWalletBalance = async () => {
+  // Work out a withdrawal from the gas wallet to the main wallet (amount null = everything minus the fee)
+  const prepareGasWalletWithdrawal = async (amount = null) => {
+    if (!gasWallet.instance || !mainWallet.address) throw new Error("Wallet not connected");
+    return gasWallet.instance.prepareWithdrawal(mainWallet.address, amount);
+  };
+  
+  // Withdraw MON from the gas wallet back to the main wallet, exactly as prepared and confirmed
+  const withdrawFromGasWallet = async (withdrawal) => {
+    if (!gasWallet.instance || !mainWallet.address) throw new Error("Wallet not connected");
+    
+    setLoading(true);
+    try {
+      const tx = await gasWallet.instance.sendWithdrawal(withdrawal);
+      await tx.wait();
+      
+      // Update gas wallet balance (bypassing the balance cache)
+      const balance = await gasWallet.instance.getBalance(true);
+      setGasWallet(prev => ({
+        ...prev,
+        balance: ethers.utils.formatEther(balance),
+      }));
+      
+      return tx.hash;
+    } catch (error) {
+      console.error("Error withdrawing from gas wallet:", error);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Update gas wallet balance (and the gas price used for the clicks-remaining estimate)
+  const updateGasWalletBalance = async (forceRefresh = false) => {
     if (!gasWallet.instance) return;
     
     try {
-      const balance = await gasWallet.instance.getBalance();
+      const [balance, fees] = await Promise.all([
+        gasWallet.instance.getBalance(forceRefresh),
+        gasWallet.instance.getFees()
+      ]);
       setGasWallet(prev => ({
         ...prev,
         balance: ethers.utils.formatEther(balance),
       }));
+      setGasPrice(fees.estimatedGasPrice);
     } catch (error) {
       console.error("Error updating gas wallet balance:", error);
     }
   };
   
+  // Pick the fee preset (eco, normal or fast) for gas wallet transactions
+  const changeFeePreset = async (preset) => {
+    setFeePreset(preset);
+    setFeePresetState(preset);
+    
+    if (gasWallet.instance) {
+      const fees = await gasWallet.instance.getFees();
+      setGasPrice(fees.estimatedGasPrice);
+    }
+  };
+  
+  // Change the auto top-up policy (validated before it's saved)
+  const updateTopUpPolicy = (changes) => {
+    if (!mainWallet.address) throw new Error("Wallet not connected");
+    
+    const policy = { ...topUpPolicy, ...changes };
+    saveTopUpPolicy(mainWallet.address, policy);
+    setTopUpPolicy(policy);
+    // A new policy gets a fresh chance straight away
+    topUpPausedUntilRef.current = 0;
+  };
+  
+  // Ask the main wallet to send the policy's top-up amount to the gas wallet
+  const runTopUp = async () => {
+    topUpInFlightRef.current = true;
+    const entry = {
+      id: Date.now(),
+      timestamp: Date.now(),
+      amount: topUpPolicy.amount,
+      to: gasWallet.address,
+      status: 'pending',
+      txHash: null,
+    };
+    setTopUpHistory(recordTopUp(mainWallet.address, entry));
+    
+    try {
+      const tx = await mainWallet.signer.sendTransaction({
+        to: gasWallet.address,
+        value: ethers.utils.parseEther(topUpPolicy.amount)
+      });
+      entry.txHash = tx.hash;
+      setTopUpHistory(recordTopUp(mainWallet.address, entry));
+      
+      await tx.wait();
+      setTopUpHistory(recordTopUp(mainWallet.address, { ...entry, status: 'confirmed' }));
+      await updateGasWalletBalance(true);
+    } catch (error) {
+      // 4001 is EIP-1193's "user rejected the request"
+      const rejected = error.code === 4001 || error.code === 'ACTION_REJECTED';
+      console.warn(`Gas wallet top-up ${rejected ? 'rejected' : 'failed'}:`, error);
+      setTopUpHistory(recordTopUp(mainWallet.address, {
+        ...entry,
+        status: rejected ? 'rejected' : 'failed',
+        error: rejected ? null : (error.message || 'Unknown error'),
+      }));
+      topUpPausedUntilRef.current = Date.now() + TOP_UP_RETRY_DELAY;
+    } finally {
+      topUpInFlightRef.current = false;
+    }
+  };
+  
   // Check if wallet is already connected on load
   useEffect(() => {
     const checkConnection = async () => {
@@ -142,9 +451,63 @@ export const WalletProvider = ({ children }) => {
     checkConnection();
   }, []);
   
-  // Periodically update gas wallet balance
+  // Load the top-up policy and history of the connected main wallet, and follow other tabs' changes to them
+  useEffect(() => {
+    if (!mainWallet.address) return;
+    
+    const load = () => {
+      setTopUpPolicy(loadTopUpPolicy(mainWallet.address));
+      setTopUpHistory(loadTopUpHistory(mainWallet.address));
+    };
+    
+    load();
+    return subscribeToTopUpChanges(mainWallet.address, load);
+  }, [mainWallet.address]);
+  
+  // Top up when the gas wallet drops below the threshold, within the spending cap
+  useEffect(() => {
+    // Top-ups are sent by the main wallet, so a keystore wallet without one can't use them
+    if (!topUpPolicy.enabled || !gasWallet.instance || !mainWallet.signer) {
+      setTopUpNotice(null);
+      return;
+    }
+    if (topUpInFlightRef.current || Date.now() < topUpPausedUntilRef.current) return;
+    
+    // Read the stored history, so top-ups other tabs sent (even ones still pending) count against the cap
+    const history = loadTopUpHistory(mainWallet.address, { settlePending: false });
+    const { due, reason } = checkTopUp(topUpPolicy, history, ethers.utils.parseEther(gasWallet.balance));
+    setTopUpNotice(reason);
+    // Every tab sees the same low balance - only the leader asks the main wallet, so it's asked once
+    if (due && tabCoordinator.isLeader()) {
+      runTopUp();
+    }
+  }, [gasWallet.balance, gasWallet.instance, mainWallet.signer, mainWallet.address, topUpPolicy, topUpHistory]);
+  
+  // Read the gas price as soon as a gas wallet is ready
+  useEffect(() => {
+    if (gasWallet.instance) {
+      updateGasWalletBalance();
+    }
+  }, [gasWallet.instance]);
+  
+  // Track whether new blocks arrive over WebSocket (otherwise we poll)
+  useEffect(() => {
+    return subscriptionService.on('status', status => setLiveUpdates(status === 'connected'));
+  }, []);
+  
+  // Periodically update gas wallet balance - on new blocks while subscribed, on a timer otherwise
   useEffect(() => {
     if (gasWallet.instance) {
+      if (liveUpdates) {
+        return subscriptionService.on('block', () => {
+          // At most once every 30 seconds
+          if (document.visibilityState === 'visible' && Date.now() - lastBalanceUpdateRef.current >= 30000) {
+            lastBalanceUpdateRef.current = Date.now();
+            updateGasWalletBalance();
+          }
+        });
+      }
+      
       const intervalId = setInterval(() => {
         if (document.visibilityState === 'visible') {
           updateGasWalletBalance();
@@ -153,7 +516,7 @@ export const WalletProvider = ({ children }) => {
       
       return () => clearInterval(intervalId);
     }
-  }, [gasWallet.instance]);
+  }, [gasWallet.instance, liveUpdates]);
   
   return (
     <WalletContext.Provider value={{
@@ -162,7 +525,25 @@ export const WalletProvider = ({ children }) => {
       loading,
       connectMainWallet,
       fundGasWallet,
+      importGasWalletKeystore,
+      exportGasWalletKeystore,
+      getDerivedGasWalletAddress,
+      compareGasWalletVersions,
+      switchGasWallet,
+      migrateGasWallet,
+      rememberDevice,
+      forgetDevice,
+      prepareGasWalletWithdrawal,
+      withdrawFromGasWallet,
       updateGasWalletBalance,
+      gasPrice,
+      feePreset,
+      changeFeePreset,
+      topUpPolicy,
+      topUpHistory,
+      topUpNotice,
+      topUpAllowance: mainWallet.address ? ethers.utils.formatEther(getTopUpAllowance(topUpPolicy, topUpHistory)) : '0',
+      updateTopUpPolicy,
     }}>
       {children}
     </WalletContext.Provider>
@@ -0,0 +1,55 @@
+// src/hooks/useApiStats.js
+import { useState, useEffect } from 'react';
+import apiManager from '../services/ApiManager';
+
+/**
+ * Read a snapshot of ApiManager state
+ * @param {number} logSize - Number of recent events to include
+ * @returns {{stats: Object, cacheEntries: Array<Object>, log: Array<Object>}}
+ */
+const readSnapshot = (logSize) => ({
+  stats: apiManager.getStats(),
+  cacheEntries: apiManager.getCacheEntries(),
+  log: apiManager.getEventLog().slice(-logSize)
+});
+
+/**
+ * Follow ApiManager stats, cache contents and the recent event log.
+ * Updates are driven by ApiManager events (coalesced to one render per
+ * throttle window) plus a slow tick so TTL countdowns keep moving.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.enabled=true] - Stop listening while false (e.g. a closed panel)
+ * @param {number} [options.logSize=50] - Number of recent events to keep
+ * @param {number} [options.throttle=250] - Minimum ms between updates
+ * @returns {{stats: Object, cacheEntries: Array<Object>, log: Array<Object>}}
+ */
+export const useApiStats = ({ enabled = true, logSize = 50, throttle = 250 } = {}) => {
+  const [snapshot, setSnapshot] = useState(() => readSnapshot(logSize));
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let timer = null;
+    const scheduleUpdate = () => {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        setSnapshot(readSnapshot(logSize));
+      }, throttle);
+    };
+
+    setSnapshot(readSnapshot(logSize));
+    const unsubscribe = apiManager.on('*', scheduleUpdate);
+    const intervalId = setInterval(scheduleUpdate, 1000);
+
+    return () => {
+      unsubscribe();
+      clearInterval(intervalId);
+      clearTimeout(timer);
+    };
+  }, [enabled, logSize, throttle]);
+
+  return snapshot;
+};
+
+export default useApiStats;
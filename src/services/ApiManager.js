@@ -1,14 +1,83 @@
 // src/services/ApiManager.js
+import RpcPool from './RpcPool';
+import BatchRpcProvider from './BatchRpcProvider';
+import PersistentCache from './PersistentCache';
+import tabCoordinator from './TabCoordinator';
+import metrics from './MetricsRegistry';
+import { MONAD_TESTNET, RPC_ENDPOINTS } from '../constants/blockchain';
+import { COOKIE_CLICKER_ADDRESS } from '../constants/contracts';
+
+/**
+ * Get a percentile from sorted samples (nearest rank)
+ * @param {number[]} sorted - Samples in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - The percentile, or null without samples
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+};
+
+// --- Metrics ---
+
+const requestsTotal = metrics.counter('api_requests_total', 'RPC requests sent by ApiManager, by lane');
+const errorsTotal = metrics.counter('api_errors_total', 'Failed ApiManager requests (including retried attempts), by lane');
+const rateLimitedTotal = metrics.counter('api_rate_limited_total', 'HTTP 429 responses, by RPC endpoint');
+const cacheHitsTotal = metrics.counter('api_cache_hits_total', 'Requests answered from the cache, by freshness');
+const queueWaitSeconds = metrics.histogram('api_queue_wait_seconds', 'Time requests spent queued before dispatch, by queue');
+const rpcLatencySeconds = metrics.histogram('rpc_latency_seconds', 'Successful RPC call (or batch) latency, by endpoint');
+
+/**
+ * Rejection for a request cancelled through its AbortSignal or by tag
+ */
+export class RequestAbortedError extends Error {
+  /**
+   * @param {string} [cacheKey] - Cache key of the cancelled request
+   * @param {string} [reason] - Why it was cancelled
+   */
+  constructor(cacheKey = null, reason = 'aborted') {
+    super(`Request ${cacheKey || '(uncached)'} cancelled: ${reason}`);
+    this.name = 'RequestAbortedError';
+    this.code = 'REQUEST_ABORTED';
+    this.cacheKey = cacheKey;
+  }
+}
+
+/**
+ * Rejection for a request that didn't settle within its timeoutMs
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {string} [cacheKey] - Cache key of the request
+   * @param {number} timeoutMs - The timeout that elapsed
+   */
+  constructor(cacheKey, timeoutMs) {
+    super(`Request ${cacheKey || '(uncached)'} timed out after ${timeoutMs}ms`);
+    this.name = 'RequestTimeoutError';
+    this.code = 'REQUEST_TIMEOUT';
+    this.cacheKey = cacheKey;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
 /**
  * Unified API manager that handles:
- * - Rate limiting with 10 req/s total limit (9 for TX, 1 for data)
- * - Request queueing and prioritization
- * - Caching
+ * - Rate limiting with a shared 10 req/s budget (9 for TX, 1 for data while clicking;
+ *   data borrows the unused TX budget while the player is idle)
+ * - Request queueing and prioritization (with aging so low priority requests can't starve)
+ * - JSON-RPC batching of queued data requests
+ * - RPC endpoint selection from a health-scored pool
+ * - Caching (in memory, persisted to IndexedDB, stale-while-revalidate)
+ * - Cross-tab coordination (one leader tab runs the data lane, cache updates are shared)
+ * - Cancellation (AbortSignal, timeouts, or every request tagged with an address)
+ * - Events for diagnostics (see on())
  * - Activity tracking
  */
 class ApiManager {
   constructor() {
     // Rate limiting configuration - split transactions and data
+    // (maxRequestsPerWindow is rebalanced by updateBudgetSplit)
     this.rateLimits = {
       transaction: {
         requestTimeWindow: 1000, // 1 second window
@@ -22,12 +91,18 @@ class ApiManager {
       }
     };
     
-    // Provider config - now using Monad direct RPC
-    this.rpcUrls = {
-      primary: "https://testnet-rpc.monad.xyz/",
+    // Shared budget across both lanes
+    this.budget = {
+      total: 10,               // 10 req/sec across transactions and data
+      reservedTransaction: 1,  // Kept free for the next click while data borrows
+      reservedData: 1,         // Kept for data while clicking
+      txIdleAfter: 3000        // Transaction lane counts as idle after 3 seconds without a transaction
     };
+    this.lastTransactionTime = 0;
     
-    this.currentRpcUrl = this.rpcUrls.primary;
+    // Provider config - pool of RPC endpoints scored by latency, errors and rate limits
+    this.rpcPool = new RpcPool(RPC_ENDPOINTS);
+    this.currentRpcUrl = this.rpcPool.getBestEndpoint()?.url || null;
     
     // Request queues by priority
     this.queues = {
@@ -37,12 +112,59 @@ class ApiManager {
       low: []
     };
     
+    // Data queue scheduling - waiting raises a request's effective priority
+    this.scheduling = {
+      basePriority: { high: 2, normal: 1, low: 0 },
+      agingInterval: 5000, // +1 priority level for every 5 seconds in the queue
+      maxWait: {           // Past this wait a request is served before anything else
+        high: 5 * 1000,
+        normal: 15 * 1000,
+        low: 30 * 1000
+      },
+      maxSamples: 200      // Wait times kept per queue for percentiles
+    };
+    this.waitSamples = {
+      transaction: [],
+      high: [],
+      normal: [],
+      low: []
+    };
+    
+    // Data lane batching - drained requests share one JSON-RPC batch per rate-limit slot
+    this.batching = {
+      enabled: true,
+      maxBatchSize: 10
+    };
+    
     // Cache with TTL
     this.cache = new Map();
     this.cacheTTL = new Map();
     
-    // Processing state
-    this.isProcessing = false;
+    // Expired entries are kept and served stale (while revalidating) up to this age
+    this.maxStaleAge = 24 * 60 * 60 * 1000; // 24 hours
+    
+    // Persistent layer, namespaced by chain and contract so networks never mix
+    this.persistentCache = new PersistentCache(
+      `${parseInt(MONAD_TESTNET.chainId, 16)}:${COOKIE_CLICKER_ADDRESS.toLowerCase()}`
+    );
+    this.cacheListeners = new Set();
+    this.cacheHydrated = this.hydrateCache();
+    
+    // Requests still queued or running, by cache key - callers share one promise
+    this.inFlight = new Map();
+    
+    // Every unsettled request (keyed or not), so they can be cancelled by tag
+    this.pendingRequests = new Set();
+    
+    // Recent request functions by cache key, so the leader tab can run requests forwarded by other tabs
+    this.requestRegistry = new Map();
+    this.maxRegistrySize = 200;
+    this.forwardTimeout = 30 * 1000; // 30 seconds - the leader's data lane may be busy
+    
+    // Processing state - borrowed budget lets several data requests run at once
+    this.activeDataRequests = 0;
+    this.dataWakeTimer = null;
+    this.dataWakeAt = 0;
     this.processingTimer = null;
     this.isProcessingTx = false;
     this.processingTxTimer = null;
@@ -77,17 +199,262 @@ class ApiManager {
     this.lastErrorTime = 0;
     this.backoffTime = 1000; // Start with 1s backoff
     
+    // Diagnostics events and a rolling log of them
+    this.eventListeners = new Map();
+    this.eventLog = [];
+    this.maxEventLog = 200;
+    this.nextRequestId = 1;
+    this.lastEmittedBackoff = 0;
+    
     // Request stats for monitoring
     this.stats = {
       txRequests: 0,
       dataRequests: 0,
       errors: 0,
-      rateExceeded: 0
+      rateExceeded: 0,
+      batches: 0,
+      batchedRequests: 0,
+      dedupHits: 0,
+      dedupHitsByType: {},
+      staleHits: 0,
+      forwardedRequests: 0,
+      remoteCacheUpdates: 0,
+      cancelled: 0,
+      timeouts: 0
     };
     
     // Start processing
     this.startProcessing();
     this.setupVisibilityHandler();
+    this.setupTabCoordination();
+  }
+  
+  // --- Events ---
+  
+  /**
+   * Subscribe to an ApiManager event:
+   * - 'request:queued'    { id, cacheKey, priority, isTransaction, retries, forwarded }
+   * - 'request:started'   { id, cacheKey, priority, isTransaction, batchSize, waited }
+   * - 'request:succeeded' { id, cacheKey, isTransaction, duration }
+   * - 'request:failed'    { id, cacheKey, isTransaction, error, willRetry }
+   * - 'cache:hit'         { cacheKey, stale }
+   * - 'backoff:changed'   { backoffTime, errorCount, retryAfter }
+   * - 'rpc:switched'      { from, to }
+   * - '*'                 every event, as (type, payload)
+   * @param {string} event - Event type
+   * @param {Function} listener - Called with the payload
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, listener) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, new Set());
+    }
+    this.eventListeners.get(event).add(listener);
+    return () => this.eventListeners.get(event).delete(listener);
+  }
+  
+  /**
+   * Emit an event to listeners and add it to the event log
+   * @param {string} type - Event type
+   * @param {Object} payload - Event payload
+   */
+  emit(type, payload) {
+    this.eventLog.push({ type, time: Date.now(), ...payload });
+    if (this.eventLog.length > this.maxEventLog) {
+      this.eventLog.shift();
+    }
+    
+    const deliver = (listener, ...args) => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`ApiManager ${type} listener failed:`, error);
+      }
+    };
+    
+    for (const listener of this.eventListeners.get(type) || []) {
+      deliver(listener, payload);
+    }
+    for (const listener of this.eventListeners.get('*') || []) {
+      deliver(listener, type, payload);
+    }
+  }
+  
+  /**
+   * Get recent events, oldest first
+   * @returns {Array<Object>} - Events with type and time
+   */
+  getEventLog() {
+    return [...this.eventLog];
+  }
+  
+  /**
+   * Emit 'backoff:changed' if the effective backoff differs from the last one reported
+   */
+  emitBackoffChange() {
+    const backoffTime = Math.max(this.getBackoffTime(), this.getRetryAfterUntil() - Date.now(), 0);
+    if (backoffTime === this.lastEmittedBackoff) return;
+    
+    this.lastEmittedBackoff = backoffTime;
+    this.emit('backoff:changed', {
+      backoffTime,
+      errorCount: this.errorCount,
+      retryAfter: Math.max(0, this.getRetryAfterUntil() - Date.now())
+    });
+  }
+  
+  /**
+   * Emit 'cache:hit' and count it
+   * @param {string} cacheKey - The cache key
+   * @param {boolean} stale - True if a stale value was served
+   */
+  emitCacheHit(cacheKey, stale) {
+    cacheHitsTotal.inc({ stale });
+    this.emit('cache:hit', { cacheKey, stale });
+  }
+  
+  /**
+   * Emit 'request:started' for a request taken off its queue
+   * @param {Object} request - The request object
+   * @param {number} waited - Milliseconds it spent queued
+   * @param {number} batchSize - Requests sharing its JSON-RPC batch
+   */
+  emitRequestStarted(request, waited, batchSize = 1) {
+    request.startedAt = Date.now();
+    this.emit('request:started', {
+      id: request.id,
+      cacheKey: request.cacheKey,
+      priority: request.priority,
+      isTransaction: request.isTransaction,
+      batchSize,
+      waited
+    });
+  }
+  
+  // --- Cross-tab coordination ---
+  
+  /**
+   * Share cache updates with other tabs and answer their forwarded requests while leader
+   */
+  setupTabCoordination() {
+    tabCoordinator.on('cache-set', ({ key, value, expiry }) => this.applyRemoteCache(key, value, expiry));
+    tabCoordinator.on('cache-clear', ({ pattern }) => this.clearCache(pattern, { remote: true }));
+    tabCoordinator.handle('fetch', payload => this.handleForwardedRequest(payload));
+    tabCoordinator.start();
+  }
+  
+  /**
+   * Check if data requests are currently sent to another (leader) tab
+   * @returns {boolean}
+   */
+  isForwarding() {
+    return tabCoordinator.hasRemoteLeader();
+  }
+  
+  /**
+   * Store a cache entry written by another tab (it already persisted the entry)
+   * @param {string} cacheKey - The cache key
+   * @param {any} value - The cached value
+   * @param {number} expiry - Expiry timestamp
+   */
+  applyRemoteCache(cacheKey, value, expiry) {
+    this.stats.remoteCacheUpdates++;
+    this.cache.set(cacheKey, value);
+    this.cacheTTL.set(cacheKey, expiry);
+    this.notifyCacheListeners(cacheKey, value, expiry <= Date.now());
+  }
+  
+  /**
+   * Remember how to fetch a cache key so forwarded requests for it can be served
+   * @param {string} cacheKey - The cache key
+   * @param {Function} fn - The request function
+   * @param {number} cacheTTL - Cache TTL in milliseconds
+   * @param {Object} options - Request options
+   */
+  registerRequest(cacheKey, fn, cacheTTL, options) {
+    // Re-insert so the Map stays ordered by last use
+    this.requestRegistry.delete(cacheKey);
+    this.requestRegistry.set(cacheKey, { fn, cacheTTL, options });
+    
+    if (this.requestRegistry.size > this.maxRegistrySize) {
+      this.requestRegistry.delete(this.requestRegistry.keys().next().value);
+    }
+  }
+  
+  /**
+   * Serve a data request forwarded by another tab (leader only)
+   * @param {Object} payload - { cacheKey, priority }
+   * @returns {Promise<{value: any, expiry: number}>} - The result and its cache expiry
+   */
+  async handleForwardedRequest({ cacheKey, priority }) {
+    const entry = this.getCacheEntry(cacheKey);
+    if (entry && !entry.stale) {
+      return { value: entry.value, expiry: entry.expiry };
+    }
+    
+    const registered = this.requestRegistry.get(cacheKey);
+    if (!registered) {
+      // The requesting tab runs it itself
+      const error = new Error(`No request registered for ${cacheKey}`);
+      error.code = 'UNKNOWN_REQUEST';
+      throw error;
+    }
+    
+    const value = await this.enqueueRequest(registered.fn, cacheKey, registered.cacheTTL, { ...registered.options, priority });
+    return { value, expiry: this.cacheTTL.get(cacheKey) };
+  }
+  
+  /**
+   * Queue a request locally, or hand it to the leader tab when another tab leads
+   * @param {Object} request - The request object
+   */
+  dispatchRequest(request) {
+    if (request.isTransaction || !request.cacheKey || !this.isForwarding()) {
+      this.addToQueue(request);
+      return;
+    }
+    
+    this.forwardRequest(request);
+  }
+  
+  /**
+   * Ask the leader tab to run a request. Falls back to the local queue if the leader can't.
+   * @param {Object} request - The request object
+   */
+  async forwardRequest(request) {
+    this.stats.forwardedRequests++;
+    this.emit('request:queued', {
+      id: request.id,
+      cacheKey: request.cacheKey,
+      priority: request.priority,
+      isTransaction: false,
+      retries: request.retries,
+      forwarded: true
+    });
+    
+    try {
+      const { value, expiry } = await tabCoordinator.request(
+        'fetch',
+        { cacheKey: request.cacheKey, priority: request.priority },
+        this.forwardTimeout
+      );
+      
+      // Served from the leader's cache - nothing was broadcast for it
+      if (!this.hasInCache(request.cacheKey) && expiry) {
+        this.applyRemoteCache(request.cacheKey, value, expiry);
+      }
+      request.resolve(value);
+    } catch (error) {
+      if (error.remote && error.code !== 'UNKNOWN_REQUEST') {
+        // The leader ran it and it failed - running it again here would only double the load
+        request.reject(error);
+      } else if (error.code === 'LEADER_CHANGED') {
+        this.dispatchRequest(request);
+      } else {
+        console.log(`Running ${request.cacheKey} in this tab (${error.code || error.message})`);
+        this.addToQueue(request);
+      }
+    }
   }
   
   // --- Activity tracking ---
@@ -148,6 +515,11 @@ class ApiManager {
       clearTimeout(this.processingTxTimer);
       this.processingTxTimer = null;
     }
+    
+    clearTimeout(this.dataWakeTimer);
+    this.dataWakeTimer = null;
+    
+    this.rpcPool.stopProbing();
   }
   
   /**
@@ -199,6 +571,9 @@ class ApiManager {
     // Start both loops
     this.processingTxTimer = setTimeout(processTxLoop, 100);
     this.processingTimer = setTimeout(processDataLoop, 200);
+    
+    // Re-probe benched RPC endpoints in the background
+    this.rpcPool.startProbing();
   }
   
   /**
@@ -225,15 +600,48 @@ class ApiManager {
    */
   canMakeRequest(requestType = 'data') {
     const now = Date.now();
-    const limits = this.rateLimits[requestType];
+    if (now < this.getRetryAfterUntil()) return false;
+    
+    this.updateBudgetSplit();
     
     // Clean up old request timestamps
-    limits.requestTimestamps = limits.requestTimestamps.filter(
-      time => now - time < limits.requestTimeWindow
-    );
+    for (const limits of Object.values(this.rateLimits)) {
+      limits.requestTimestamps = limits.requestTimestamps.filter(
+        time => now - time < limits.requestTimeWindow
+      );
+    }
     
-    // Check if we have capacity
-    return limits.requestTimestamps.length < limits.maxRequestsPerWindow;
+    const limits = this.rateLimits[requestType];
+    const totalUsed = this.rateLimits.transaction.requestTimestamps.length +
+      this.rateLimits.data.requestTimestamps.length;
+    
+    // Check if we have capacity in the lane and in the shared budget
+    return limits.requestTimestamps.length < limits.maxRequestsPerWindow && totalUsed < this.budget.total;
+  }
+  
+  /**
+   * Wait for room in the data budget, then use it
+   * @returns {Promise<void>}
+   */
+  async chargeDataRequest() {
+    while (!this.canMakeRequest('data')) {
+      this.stats.rateExceeded++;
+      await new Promise(resolve => setTimeout(resolve, this.getTimeToWait('data')));
+    }
+    this.recordRequest('data');
+  }
+  
+  /**
+   * Create a batch provider for a data request or batch. Its first HTTP batch was charged
+   * when the requests were taken off the queue; every later one (calls made after awaiting
+   * earlier ones, like decimals then balanceOf) waits for and uses budget of its own.
+   * @param {string} rpcUrl - RPC URL
+   * @returns {BatchRpcProvider}
+   */
+  createBatchProvider(rpcUrl) {
+    return new BatchRpcProvider(rpcUrl, undefined, (batchNumber) => (
+      batchNumber > 1 ? this.chargeDataRequest() : null
+    ));
   }
   
   /**
@@ -242,15 +650,92 @@ class ApiManager {
    */
   recordRequest(requestType = 'data') {
     this.rateLimits[requestType].requestTimestamps.push(Date.now());
+    requestsTotal.inc({ lane: requestType });
     
     // Update stats
     if (requestType === 'transaction') {
+      this.lastTransactionTime = Date.now();
       this.stats.txRequests++;
     } else {
       this.stats.dataRequests++;
     }
   }
   
+  /**
+   * Check if the player is sending transactions (queued or recently sent)
+   * @returns {boolean}
+   */
+  isTransactionLaneActive() {
+    return this.queues.transaction.length > 0 ||
+      Date.now() - this.lastTransactionTime < this.budget.txIdleAfter;
+  }
+  
+  /**
+   * Rebalance lane limits: data borrows the transaction budget while no clicks are
+   * happening and gives it back as soon as a transaction is queued
+   */
+  updateBudgetSplit() {
+    const { total, reservedTransaction, reservedData } = this.budget;
+    
+    this.rateLimits.transaction.maxRequestsPerWindow = total - reservedData;
+    this.rateLimits.data.maxRequestsPerWindow = this.isTransactionLaneActive()
+      ? reservedData
+      : total - reservedTransaction;
+  }
+  
+  /**
+   * Get the current budget split for display
+   * @returns {{total: number, transaction: number, data: number, borrowing: boolean, used: Object, retryAfter: number}}
+   *   Requests per window for each lane, whether data is borrowing transaction budget,
+   *   requests used in the current window, and ms left on a Retry-After pause
+   */
+  getBudgetSplit() {
+    this.canMakeRequest('data'); // Refreshes the split and prunes old timestamps
+    
+    const data = this.rateLimits.data.maxRequestsPerWindow;
+    return {
+      total: this.budget.total,
+      transaction: this.budget.total - data,
+      data,
+      borrowing: data > this.budget.reservedData,
+      used: {
+        transaction: this.rateLimits.transaction.requestTimestamps.length,
+        data: this.rateLimits.data.requestTimestamps.length
+      },
+      retryAfter: Math.max(0, this.getRetryAfterUntil() - Date.now())
+    };
+  }
+  
+  /**
+   * Read a Retry-After hint from a 429 error (ethers keeps response headers on nested errors)
+   * @param {Error} error - The error to check
+   * @returns {number|null} - Milliseconds to wait, or null without a hint
+   */
+  getRetryAfter(error) {
+    for (let current = error, depth = 0; current && depth < 4; current = current.error || current.serverError, depth++) {
+      const header = current.headers?.['retry-after'];
+      if (!header) continue;
+      
+      // Either delay-seconds or an HTTP date
+      const seconds = Number(header);
+      const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+      if (delay > 0) {
+        return Math.min(delay, 60 * 1000); // Never stall longer than a minute
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the time until which requests are paused. Retry-After only rests the endpoint that sent it,
+   * so both lanes pause only once every endpoint has asked us to wait.
+   * @returns {number} - Timestamp in ms, or 0 when not paused
+   */
+  getRetryAfterUntil() {
+    return this.rpcPool.getRetryAfterUntil();
+  }
+  
   /**
    * Calculate time to wait before next request
    * @param {string} requestType - 'transaction' or 'data'
@@ -262,131 +747,295 @@ class ApiManager {
     }
     
     const now = Date.now();
+    const retryAfterUntil = this.getRetryAfterUntil();
+    if (now < retryAfterUntil) {
+      return retryAfterUntil - now;
+    }
+    
+    // Wait for the oldest request in the lane, or in either lane if the shared budget is full
     const limits = this.rateLimits[requestType];
-    const oldestRequest = limits.requestTimestamps[0];
+    const timestamps = limits.requestTimestamps.length >= limits.maxRequestsPerWindow
+      ? limits.requestTimestamps
+      : [...this.rateLimits.transaction.requestTimestamps, ...this.rateLimits.data.requestTimestamps];
+    const oldestRequest = Math.min(...timestamps);
     return limits.requestTimeWindow - (now - oldestRequest) + 50; // Add 50ms buffer
   }
   
+  // --- RPC endpoint pool ---
+  
+  /**
+   * Replace the RPC endpoints used by the pool
+   * @param {string[]} urls - RPC URLs
+   */
+  setRpcEndpoints(urls) {
+    this.rpcPool.setEndpoints(urls);
+    this.currentRpcUrl = this.rpcPool.getBestEndpoint()?.url || null;
+  }
+  
+  /**
+   * Check if an error is a rate limit response
+   * @param {Error} error - The error to check
+   * @returns {boolean}
+   */
+  isRateLimitError(error) {
+    return Boolean(
+      error?.message?.includes('429') ||
+      error?.message?.includes('rate limit') ||
+      error?.message?.includes('requests limited')
+    );
+  }
+  
+  /**
+   * Check if an error was caused by the RPC endpoint rather than the request itself
+   * (contract reverts or insufficient funds say nothing about endpoint health)
+   * @param {Error} error - The error to check
+   * @returns {boolean}
+   */
+  isEndpointError(error) {
+    if (this.isRateLimitError(error)) return true;
+    
+    if (['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'].includes(error?.code)) {
+      return true;
+    }
+    
+    const message = error?.message?.toLowerCase() || '';
+    return message.includes('failed to fetch') || 
+           message.includes('network error') || 
+           message.includes('bad response');
+  }
+  
   /**
-   * Switch to backup RPC if needed
+   * Reserve an endpoint from the pool and note when the active endpoint changes
+   * @param {string[]} excludeUrls - URLs to skip
+   * @returns {string|null} - The RPC URL to use
    */
-  switchToBackupRpcIfNeeded() {
-    if (this.currentRpcUrl === this.rpcUrls.primary) {
-      console.log('Switching to backup RPC URL due to rate limits or errors');
-      this.currentRpcUrl = this.rpcUrls.backup;
-      setTimeout(() => {
-        // Switch back after 10 seconds
-        this.currentRpcUrl = this.rpcUrls.primary;
-      }, 10000);
+  acquireRpcUrl(excludeUrls = []) {
+    const rpcUrl = this.rpcPool.acquire(excludeUrls);
+    
+    if (rpcUrl && rpcUrl !== this.currentRpcUrl) {
+      console.log(`Switching RPC endpoint: ${this.currentRpcUrl} -> ${rpcUrl}`);
+      this.emit('rpc:switched', { from: this.currentRpcUrl, to: rpcUrl });
+      this.currentRpcUrl = rpcUrl;
+    }
+    
+    return rpcUrl;
+  }
+  
+  /**
+   * Score a successful call on an endpoint
+   * @param {string} rpcUrl - The endpoint
+   * @param {number} latency - Milliseconds the call took
+   */
+  recordRpcSuccess(rpcUrl, latency) {
+    this.rpcPool.recordSuccess(rpcUrl, latency);
+    rpcLatencySeconds.observe(latency / 1000, { endpoint: rpcUrl });
+  }
+  
+  /**
+   * Score an endpoint failure, benching the endpoint (and honoring Retry-After) on 429s
+   * @param {string} rpcUrl - The endpoint
+   * @param {Error} error - The endpoint error
+   */
+  recordRpcFailure(rpcUrl, error) {
+    const isRateLimit = this.isRateLimitError(error);
+    const retryAfter = isRateLimit ? this.getRetryAfter(error) : null;
+    if (retryAfter) {
+      console.warn(`${rpcUrl} asked us to retry after ${retryAfter}ms, resting it`);
+    }
+    this.rpcPool.recordFailure(rpcUrl, error, isRateLimit, retryAfter);
+    if (retryAfter) this.emitBackoffChange();
+    
+    if (isRateLimit) {
+      rateLimitedTotal.inc({ endpoint: rpcUrl });
+    }
+  }
+  
+  /**
+   * Run a request function against an acquired endpoint and score the outcome
+   * @param {Function} fn - Request function taking the RPC URL
+   * @param {string} rpcUrl - Acquired RPC URL
+   * @returns {Promise<any>} - The request result
+   */
+  async callRpc(fn, rpcUrl) {
+    const startTime = Date.now();
+    
+    try {
+      const result = await fn(rpcUrl);
+      this.recordRpcSuccess(rpcUrl, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (this.isEndpointError(error)) {
+        this.recordRpcFailure(rpcUrl, error);
+      } else {
+        this.rpcPool.release(rpcUrl);
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Run a request on the healthiest endpoint, retrying once on the next best
+   * @param {Function} fn - Request function taking the RPC URL
+   * @returns {Promise<any>} - The request result
+   */
+  async executeOnPool(fn) {
+    const rpcUrl = this.acquireRpcUrl();
+    
+    try {
+      return await this.callRpc(fn, rpcUrl);
+    } catch (error) {
+      if (!this.isEndpointError(error)) throw error;
+      
+      const fallbackUrl = this.acquireRpcUrl([rpcUrl]);
+      if (!fallbackUrl) throw error;
+      
+      console.warn(`RPC ${rpcUrl} failed, trying ${fallbackUrl}:`, error);
+      return this.callRpc(fn, fallbackUrl);
     }
   }
   
   // --- Request processing ---
   
+  /**
+   * Get a queued request's effective priority. Every agingInterval waited adds a
+   * level, and a request past its queue's maxWait outranks everything not overdue.
+   * @param {Object} request - The queued request
+   * @param {number} now - Current time
+   * @returns {number} - Higher is served first
+   */
+  getEffectivePriority(request, now) {
+    const priority = request.priority in this.scheduling.basePriority ? request.priority : 'normal';
+    const waited = now - request.queuedAt;
+    const maxWait = this.scheduling.maxWait[priority];
+    
+    if (waited >= maxWait) {
+      // Overdue requests are served oldest first, whatever their queue
+      return 1000 + waited / this.scheduling.agingInterval;
+    }
+    
+    return this.scheduling.basePriority[priority] + waited / this.scheduling.agingInterval;
+  }
+  
+  /**
+   * List queued data requests in the order they should be served
+   * @returns {Array<Object>} - Requests, highest effective priority first (oldest first on ties)
+   */
+  getQueuedDataRequests() {
+    const now = Date.now();
+    
+    return ['high', 'normal', 'low']
+      .flatMap(priority => this.queues[priority])
+      .map(request => ({ request, score: this.getEffectivePriority(request, now) }))
+      .sort((a, b) => b.score - a.score || a.request.queuedAt - b.request.queuedAt)
+      .map(({ request }) => request);
+  }
+  
+  /**
+   * Take a request off its queue and record how long it waited
+   * @param {Object} request - The queued request
+   * @returns {number} - Milliseconds it waited
+   */
+  dequeueRequest(request) {
+    const queueName = request.isTransaction ? 'transaction' : request.priority;
+    const queue = this.queues[queueName] || this.queues.normal;
+    const index = queue.indexOf(request);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    
+    const waited = Date.now() - request.queuedAt;
+    queueWaitSeconds.observe(waited / 1000, { queue: queueName });
+    const samples = this.waitSamples[queueName] || this.waitSamples.normal;
+    samples.push(waited);
+    if (samples.length > this.scheduling.maxSamples) {
+      samples.shift();
+    }
+    
+    request.queuedAt = null;
+    return waited;
+  }
+  
   /**
    * Get the next data request (non-transaction)
    */
   getNextDataRequest() {
-    // High priority data items first
-    if (this.queues.high.length > 0) {
-      return this.queues.high.shift();
-    }
+    const [next] = this.getQueuedDataRequests();
+    if (!next) return null;
+    
+    next.waited = this.dequeueRequest(next);
+    return next;
+  }
+  
+  /**
+   * Take the next data request plus any batchable requests that can share its
+   * JSON-RPC batch (in effective priority order, up to maxBatchSize)
+   * @returns {Array<Object>} - Requests to run in this rate-limit slot
+   */
+  takeDataBatch() {
+    const first = this.getNextDataRequest();
+    if (!first) return [];
     
-    // Then normal priority
-    if (this.queues.normal.length > 0) {
-      return this.queues.normal.shift();
-    }
+    const batch = [first];
+    if (!this.batching.enabled || !first.batchable) return batch;
     
-    // Finally low priority
-    if (this.queues.low.length > 0) {
-      return this.queues.low.shift();
+    for (const request of this.getQueuedDataRequests()) {
+      if (batch.length >= this.batching.maxBatchSize) break;
+      
+      if (request.batchable) {
+        request.waited = this.dequeueRequest(request);
+        batch.push(request);
+      }
     }
     
-    return null;
+    return batch;
   }
   
   /**
-   * Process next data request in queue
+   * Process next data request(s) in queue
    * @private
    */
   async processNextDataRequest() {
-    if (this.isProcessing) return;
+    const queuedData = this.queues.high.length + this.queues.normal.length + this.queues.low.length;
+    if (queuedData === 0) return;
+    
+    // One request at a time unless data is borrowing budget
+    if (this.activeDataRequests >= this.rateLimits.data.maxRequestsPerWindow) return;
     
     // Check backoff due to errors
     const backoffTime = this.getBackoffTime();
     if (backoffTime > 0) {
-      setTimeout(() => this.processNextDataRequest(), backoffTime);
+      this.scheduleDataProcessing(backoffTime);
       return;
     }
     
-    // Get next data request
-    const nextRequest = this.getNextDataRequest();
-    if (!nextRequest) return;
-    
-    // Check rate limits
+    // Check rate limits before taking anything off the queue
     if (!this.canMakeRequest('data')) {
       this.stats.rateExceeded++;
       console.log('Data rate limit hit, waiting before next request');
-      const timeToWait = this.getTimeToWait('data');
-      setTimeout(() => this.processNextDataRequest(), timeToWait);
+      this.scheduleDataProcessing(this.getTimeToWait('data'));
       return;
     }
     
-    // Process the request
-    this.isProcessing = true;
+    // Get next data request(s)
+    const batch = this.takeDataBatch();
+    if (batch.length === 0) return;
+    
+    // The first HTTP call counts against the data budget here; later ones are charged as they're sent
+    this.recordRequest('data');
+    this.activeDataRequests++;
+    batch.forEach(request => this.emitRequestStarted(request, request.waited, batch.length));
+    
+    // Start the next one straight away if there is budget left
+    this.scheduleDataProcessing(this.getTimeToWait('data'));
     
     try {
-      console.log(`Processing request: ${nextRequest.cacheKey || 'uncached request'}`);
-      
-      // Try primary RPC first
-      let result;
-      try {
-        result = await nextRequest.fn(this.rpcUrls.primary);
-      } catch (primaryError) {
-        console.warn('Primary RPC failed, trying backup:', primaryError);
-        // Try backup RPC
-        result = await nextRequest.fn(this.rpcUrls.backup);
-      }
-      
-      // Cache the result if needed
-      if (nextRequest.cacheKey) {
-        const ttl = nextRequest.cacheTTL || this.getDefaultTTL(nextRequest.cacheKey);
-        this.cache.set(nextRequest.cacheKey, result);
-        this.cacheTTL.set(nextRequest.cacheKey, Date.now() + ttl);
-      }
-      
-      // Record the successful request
-      this.recordRequest('data');
-      
-      // Reset error tracking on success
-      this.errorCount = 0;
-      this.backoffTime = 1000;
-      
-      nextRequest.resolve(result);
-    } catch (error) {
-      console.error('Request failed:', {
-        key: nextRequest.cacheKey,
-        error: error.message,
-        code: error.code,
-        stack: error.stack
-      });
-      
-      // Increment error count and update backoff
-      this.errorCount++;
-      this.lastErrorTime = Date.now();
-      this.backoffTime = Math.min(this.backoffTime * 2, 30000); // Max 30s backoff
-      
-      if (nextRequest.retries < nextRequest.maxRetries) {
-        console.log(`Retrying request (${nextRequest.retries + 1}/${nextRequest.maxRetries})`);
-        nextRequest.retries++;
-        this.addToQueue(nextRequest);
+      if (batch.length === 1) {
+        await this.runDataRequest(batch[0]);
       } else {
-        nextRequest.reject(error);
+        await this.runDataBatch(batch);
       }
-      
-      this.stats.errors++;
     } finally {
-      this.isProcessing = false;
+      this.activeDataRequests--;
       
       // Schedule next request
       const nextTime = Math.max(
@@ -394,8 +1043,154 @@ class ApiManager {
         this.getBackoffTime()
       );
       
-      setTimeout(() => this.processNextDataRequest(), nextTime);
+      this.scheduleDataProcessing(nextTime);
+    }
+  }
+  
+  /**
+   * Wake the data lane after a delay, keeping only the earliest pending wake-up
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleDataProcessing(delay) {
+    const runAt = Date.now() + delay;
+    if (this.dataWakeTimer && this.dataWakeAt <= runAt) return;
+    
+    clearTimeout(this.dataWakeTimer);
+    this.dataWakeAt = runAt;
+    this.dataWakeTimer = setTimeout(() => {
+      this.dataWakeTimer = null;
+      this.processNextDataRequest();
+    }, delay);
+  }
+  
+  /**
+   * Run a single data request on its own HTTP call
+   * @param {Object} request - The queued request
+   */
+  async runDataRequest(request) {
+    try {
+      console.log(`Processing request: ${request.cacheKey || 'uncached request'}`);
+      
+      // Run on the healthiest endpoint, falling back to the next best. Batchable requests
+      // get a batch provider even alone, so each HTTP call they make is charged.
+      const fn = request.batchable
+        ? rpcUrl => request.fn(rpcUrl, this.createBatchProvider(rpcUrl))
+        : request.fn;
+      const result = await this.executeOnPool(fn);
+      
+      this.completeDataRequest(request, result);
+    } catch (error) {
+      this.failDataRequest(request, error);
+    }
+  }
+  
+  /**
+   * Run several data requests as one JSON-RPC batch. Each request settles on its own.
+   * @param {Array<Object>} batch - The queued requests
+   */
+  async runDataBatch(batch) {
+    const rpcUrl = this.acquireRpcUrl();
+    const batchProvider = this.createBatchProvider(rpcUrl);
+    const startTime = Date.now();
+    
+    console.log(`Processing batch of ${batch.length} requests:`, batch.map(request => request.cacheKey || 'uncached request'));
+    
+    // Start every request in the same tick so their calls land in one batch array
+    const outcomes = await Promise.allSettled(
+      batch.map(request => request.fn(rpcUrl, batchProvider))
+    );
+    
+    this.stats.batches++;
+    this.stats.batchedRequests += batch.length;
+    
+    // Score the endpoint once for the batch
+    const endpointFailure = outcomes.find(
+      outcome => outcome.status === 'rejected' && this.isEndpointError(outcome.reason)
+    );
+    if (endpointFailure) {
+      this.recordRpcFailure(rpcUrl, endpointFailure.reason);
+    } else {
+      this.recordRpcSuccess(rpcUrl, Date.now() - startTime);
+    }
+    
+    // Settle successes first so a failure in the same batch still leaves a backoff in place
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        this.completeDataRequest(batch[index], outcome.value);
+      }
+    });
+    
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        this.failDataRequest(batch[index], outcome.reason, rpcUrl);
+      }
+    });
+  }
+  
+  /**
+   * Cache and resolve a successful data request
+   * @param {Object} request - The queued request
+   * @param {any} result - The request result
+   */
+  completeDataRequest(request, result) {
+    // Cache the result if needed
+    if (request.cacheKey) {
+      this.setCache(request.cacheKey, result, request.cacheTTL);
+    }
+    
+    // Reset error tracking on success
+    this.errorCount = 0;
+    this.backoffTime = 1000;
+    this.emitBackoffChange();
+    
+    this.emit('request:succeeded', {
+      id: request.id,
+      cacheKey: request.cacheKey,
+      isTransaction: false,
+      duration: Date.now() - request.startedAt
+    });
+    
+    request.resolve(result);
+  }
+  
+  /**
+   * Record a failed data request and retry or reject it
+   * @param {Object} request - The queued request
+   * @param {Error} error - The error that occurred
+   * @param {string} [rpcUrl] - Endpoint the request ran on
+   */
+  failDataRequest(request, error, rpcUrl = this.currentRpcUrl) {
+    console.error('Request failed:', {
+      key: request.cacheKey,
+      error: error.message,
+      code: error.code,
+      stack: error.stack
+    });
+    
+    // Increment error count and update backoff
+    this.recordError(error, rpcUrl);
+    
+    const willRetry = !request.cancelled && request.retries < request.maxRetries;
+    this.emit('request:failed', {
+      id: request.id,
+      cacheKey: request.cacheKey,
+      isTransaction: false,
+      error: error.message,
+      willRetry
+    });
+    
+    if (request.cancelled) {
+      // Nobody is waiting for it any more
+    } else if (request.retries < request.maxRetries) {
+      console.log(`Retrying request (${request.retries + 1}/${request.maxRetries})`);
+      request.retries++;
+      this.addToQueue(request);
+    } else {
+      request.reject(error);
     }
+    
+    this.stats.errors++;
+    errorsTotal.inc({ lane: 'data' });
   }
   
   /**
@@ -416,7 +1211,8 @@ class ApiManager {
     }
     
     // Get next transaction
-    const nextTransaction = this.queues.transaction.shift();
+    const nextTransaction = this.queues.transaction[0];
+    this.emitRequestStarted(nextTransaction, this.dequeueRequest(nextTransaction));
     
     // Process the transaction
     this.isProcessingTx = true;
@@ -426,21 +1222,33 @@ class ApiManager {
       this.recordRequest('transaction');
       
       // Execute the transaction
-      const result = await nextTransaction.fn(this.currentRpcUrl);
+      const result = await this.callRpc(nextTransaction.fn, this.acquireRpcUrl());
+      
+      this.emit('request:succeeded', {
+        id: nextTransaction.id,
+        cacheKey: null,
+        isTransaction: true,
+        duration: Date.now() - nextTransaction.startedAt
+      });
       
       // Resolve the promise
       nextTransaction.resolve(result);
     } catch (error) {
       console.error('Transaction error:', error);
       this.stats.errors++;
+      errorsTotal.inc({ lane: 'transaction' });
       
-      // Handle rate limit errors
-      if (error?.message?.includes('429') || 
-          error?.message?.includes('rate limit') ||
-          error?.message?.includes('requests limited')) {
-        
-        this.switchToBackupRpcIfNeeded();
-        
+      const willRetry = this.isRateLimitError(error) && nextTransaction.retries < nextTransaction.maxRetries;
+      this.emit('request:failed', {
+        id: nextTransaction.id,
+        cacheKey: null,
+        isTransaction: true,
+        error: error.message,
+        willRetry
+      });
+      
+      // Handle rate limit errors (the pool has already benched the endpoint)
+      if (this.isRateLimitError(error)) {
         // Requeue with backoff if retries remain
         if (nextTransaction.retries < nextTransaction.maxRetries) {
           nextTransaction.retries++;
@@ -448,7 +1256,7 @@ class ApiManager {
           const backoffTime = Math.pow(1.5, nextTransaction.retries) * 1000;
           
           setTimeout(() => {
-            this.queues.transaction.push(nextTransaction);
+            this.addToQueue(nextTransaction);
           }, backoffTime);
         } else {
           nextTransaction.reject(error);
@@ -467,11 +1275,32 @@ class ApiManager {
    * @param {Object} request - The request object
    */
   addToQueue(request) {
+    // Cancelled while waiting on a retry backoff or a forward to the leader tab
+    if (request.cancelled) return;
+    
+    // Promotion moves a request between queues without resetting its wait
+    if (!request.queuedAt) {
+      request.queuedAt = Date.now();
+      this.emit('request:queued', {
+        id: request.id,
+        cacheKey: request.cacheKey,
+        priority: request.priority,
+        isTransaction: request.isTransaction,
+        retries: request.retries,
+        forwarded: false
+      });
+    }
+    
     if (request.isTransaction) {
       this.queues.transaction.push(request);
       return;
     }
     
+    // Don't wait for the next loop tick if the budget allows a request now
+    if (!this.isInBackground) {
+      this.scheduleDataProcessing(0);
+    }
+    
     switch (request.priority) {
       case 'high':
         this.queues.high.push(request);
@@ -509,21 +1338,18 @@ class ApiManager {
   /**
    * Record an error and update backoff time
    * @param {Error} error - The error that occurred
+   * @param {string} [rpcUrl] - Endpoint that produced the error (defaults to the active one)
    */
-  recordError(error) {
+  recordError(error, rpcUrl = this.currentRpcUrl) {
     this.errorCount++;
     this.lastErrorTime = Date.now();
     
     // Check if it's a rate limit error
-    const isRateLimit = error?.message?.includes('429') || 
-                      error?.message?.includes('rate limit') || 
-                      error?.message?.includes('requests limited');
+    const isRateLimit = this.isRateLimitError(error);
                       
-    // For rate limit errors, switch providers
+    // For rate limit errors the pool has already benched the endpoint, so other providers take over
     if (isRateLimit) {
-      console.warn(`Rate limit hit on ${this.currentRpcUrl}!`);
-      
-      this.switchToBackupRpcIfNeeded();
+      console.warn(`Rate limit hit on ${rpcUrl}!`);
       
       // Use a more modest backoff for rate limits since we switched providers
       this.backoffTime = Math.min(5000, this.backoffTime * 1.5);
@@ -531,54 +1357,275 @@ class ApiManager {
       // Increase backoff time (max 30 seconds) for other errors
       this.backoffTime = Math.min(30000, Math.pow(2, Math.min(4, this.errorCount)) * 1000);
     }
+    
+    this.emitBackoffChange();
   }
   
   // --- Request API ---
   
   /**
    * Make a request with rate limiting and caching
-   * @param {Function} requestFn - Function that returns a promise
+   * @param {Function} requestFn - Function that returns a promise; called with (rpcUrl, batchProvider),
+   *   where batchProvider is set when the request runs as part of a JSON-RPC batch
    * @param {string} cacheKey - Key for caching (null for no caching)
    * @param {number} cacheTTL - Cache TTL in milliseconds (or use default)
    * @param {Object} options - Additional options
+   * @param {string} [options.priority] - 'high', 'normal' or 'low'
+   * @param {boolean} [options.staleWhileRevalidate] - Set false to wait for fresh data instead of a stale value
+   * @param {AbortSignal} [options.signal] - Rejects with RequestAbortedError when aborted
+   * @param {number} [options.timeoutMs] - Rejects with RequestTimeoutError after this long
+   * @param {string|string[]} [options.tag] - Tag(s) such as a wallet address, for cancelByTag
    * @returns {Promise} - The request result
    */
   request(requestFn, cacheKey = null, cacheTTL = null, options = {}) {
+    // Check cache first
+    const entry = cacheKey ? this.getCacheEntry(cacheKey) : null;
+    if (entry) {
+      if (!entry.stale) {
+        this.emitCacheHit(cacheKey, false);
+        return Promise.resolve(entry.value);
+      }
+      
+      if (options.staleWhileRevalidate !== false) {
+        // Serve the stale value now and refresh it in the background
+        this.stats.staleHits++;
+        this.emitCacheHit(cacheKey, true);
+        this.enqueueRequest(requestFn, cacheKey, cacheTTL, options).catch(error => {
+          if (!this.isAbortError(error)) {
+            console.warn(`Background revalidation failed for ${cacheKey}:`, error.message);
+          }
+        });
+        return Promise.resolve(entry.value);
+      }
+    }
+    
+    return this.enqueueRequest(requestFn, cacheKey, cacheTTL, options);
+  }
+  
+  /**
+   * Queue a request, sharing any in-flight request for the same cache key
+   * @param {Function} requestFn - Function that returns a promise
+   * @param {string} cacheKey - Key for caching (null for no caching)
+   * @param {number} cacheTTL - Cache TTL in milliseconds (or use default)
+   * @param {Object} options - Additional options
+   * @returns {Promise} - The request result
+   */
+  enqueueRequest(requestFn, cacheKey, cacheTTL, options = {}) {
     const priority = options.priority || 'normal';
     const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
     const isTransaction = options.isTransaction || false;
+    // Batchable requests must make their RPC calls through the batchProvider argument when given
+    const batchable = options.batchable || false;
     
-    // Check cache first
-    if (cacheKey && this.cache.has(cacheKey)) {
-      const expiry = this.cacheTTL.get(cacheKey);
-      if (expiry > Date.now()) {
-        return Promise.resolve(this.cache.get(cacheKey));
-      } else {
-        // Cache expired
-        this.cache.delete(cacheKey);
-        this.cacheTTL.delete(cacheKey);
-      }
+    // Share a request for this key that is already queued or running
+    if (cacheKey && this.inFlight.has(cacheKey)) {
+      const existing = this.inFlight.get(cacheKey);
+      this.recordDedupHit(cacheKey);
+      this.promoteRequest(existing.request, priority);
+      return this.attachCaller(existing.request, existing.promise, options);
     }
     
     // Create a new promise
-    return new Promise((resolve, reject) => {
-      const request = {
+    let request;
+    const promise = new Promise((resolve, reject) => {
+      request = {
+        id: this.nextRequestId++,
         fn: requestFn,
         cacheKey,
         cacheTTL,
         priority,
         isTransaction,
+        batchable,
         resolve,
         reject,
         retries: 0,
         maxRetries,
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        tags: new Set(),
+        callers: 0,
+        cancelled: false
       };
+    });
+    
+    this.pendingRequests.add(request);
+    const settle = () => this.pendingRequests.delete(request);
+    promise.then(settle, settle);
+    
+    // Attach the caller before queueing so an already-aborted signal never queues anything
+    const callerPromise = this.attachCaller(request, promise, options);
+    this.dispatchRequest(request);
+    
+    if (cacheKey) {
+      if (!isTransaction) {
+        this.registerRequest(cacheKey, requestFn, cacheTTL, { maxRetries, batchable });
+      }
       
-      this.addToQueue(request);
+      this.inFlight.set(cacheKey, { promise, request });
+      
+      const forget = () => {
+        // The entry may already belong to a newer request after clearCache
+        if (this.inFlight.get(cacheKey)?.promise === promise) {
+          this.inFlight.delete(cacheKey);
+        }
+      };
+      promise.then(forget, forget);
+    }
+    
+    return callerPromise;
+  }
+  
+  // --- Cancellation ---
+  
+  /**
+   * Give one caller its own view of a (possibly shared) request, honoring its signal and timeout
+   * @param {Object} request - The request object
+   * @param {Promise} promise - The request's shared promise
+   * @param {Object} options - Caller options ({ signal, timeoutMs, tag })
+   * @returns {Promise} - Promise for this caller
+   */
+  attachCaller(request, promise, { signal, timeoutMs, tag } = {}) {
+    for (const value of [].concat(tag || [])) {
+      request.tags.add(String(value).toLowerCase());
+    }
+    request.callers++;
+    
+    // Nothing can detach this caller, so it keeps the request alive
+    if (!signal && !timeoutMs) return promise;
+    
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      
+      const finish = () => {
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      
+      const detach = (error) => {
+        if (settled) return;
+        finish();
+        reject(error);
+        this.releaseCaller(request);
+      };
+      
+      const onAbort = () => detach(new RequestAbortedError(request.cacheKey));
+      
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort);
+      
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          this.stats.timeouts++;
+          detach(new RequestTimeoutError(request.cacheKey, timeoutMs));
+        }, timeoutMs);
+      }
+      
+      promise.then(
+        value => { if (!settled) { finish(); resolve(value); } },
+        error => { if (!settled) { finish(); reject(error); } }
+      );
     });
   }
   
+  /**
+   * Drop a caller that aborted or timed out, cancelling the request once nobody is waiting
+   * @param {Object} request - The request object
+   */
+  releaseCaller(request) {
+    request.callers--;
+    if (request.callers <= 0) {
+      this.cancelRequest(request, new RequestAbortedError(request.cacheKey, 'no callers left'));
+    }
+  }
+  
+  /**
+   * Remove a request from the queues and reject it. A request that is already
+   * running can't be stopped, but its result is no longer delivered.
+   * @param {Object} request - The request object
+   * @param {Error} error - Rejection for remaining callers
+   */
+  cancelRequest(request, error) {
+    if (request.cancelled || !this.pendingRequests.has(request)) return;
+    
+    request.cancelled = true;
+    this.stats.cancelled++;
+    
+    for (const queue of Object.values(this.queues)) {
+      const index = queue.indexOf(request);
+      if (index !== -1) {
+        queue.splice(index, 1);
+      }
+    }
+    
+    // Later callers start a fresh request
+    if (request.cacheKey && this.inFlight.get(request.cacheKey)?.request === request) {
+      this.inFlight.delete(request.cacheKey);
+    }
+    
+    request.reject(error);
+  }
+  
+  /**
+   * Cancel every pending request carrying a tag (e.g. when a wallet disconnects or changes)
+   * @param {string} tag - The tag, typically a wallet address (case-insensitive)
+   * @returns {number} - Number of requests cancelled
+   */
+  cancelByTag(tag) {
+    if (!tag) return 0;
+    
+    const normalizedTag = String(tag).toLowerCase();
+    const requests = [...this.pendingRequests].filter(request => request.tags.has(normalizedTag));
+    
+    requests.forEach(request => this.cancelRequest(request, new RequestAbortedError(request.cacheKey, `${tag} cancelled`)));
+    
+    if (requests.length > 0) {
+      console.log(`Cancelled ${requests.length} requests tagged ${tag}`);
+    }
+    return requests.length;
+  }
+  
+  /**
+   * Check if an error means the request was cancelled (rather than failed)
+   * @param {Error} error - The error to check
+   * @returns {boolean}
+   */
+  isAbortError(error) {
+    return error?.code === 'REQUEST_ABORTED';
+  }
+  
+  /**
+   * Count a request that was served by an in-flight duplicate
+   * @param {string} cacheKey - The shared cache key
+   */
+  recordDedupHit(cacheKey) {
+    // Group by key type (e.g. 'token-balance') so addresses don't bloat the stats
+    const type = cacheKey.split(':')[0];
+    this.stats.dedupHits++;
+    this.stats.dedupHitsByType[type] = (this.stats.dedupHitsByType[type] || 0) + 1;
+  }
+  
+  /**
+   * Move a still-queued data request up when a higher-priority caller joins it
+   * @param {Object} request - The queued request
+   * @param {string} priority - Priority of the new caller
+   */
+  promoteRequest(request, priority) {
+    const rank = { low: 0, normal: 1, high: 2 };
+    if (request.isTransaction || (rank[priority] ?? 1) <= (rank[request.priority] ?? 1)) return;
+    
+    const queue = this.queues[request.priority] || this.queues.normal;
+    const index = queue.indexOf(request);
+    if (index === -1) return; // Already running
+    
+    queue.splice(index, 1);
+    request.priority = priority;
+    this.addToQueue(request);
+  }
+  
   /**
    * Make a transaction request with special high-priority handling
    * @param {Function} txFn - Function that sends the transaction
@@ -626,19 +1673,146 @@ class ApiManager {
    */
   getFromCache(cacheKey) {
     if (this.hasInCache(cacheKey)) {
+      this.emitCacheHit(cacheKey, false);
       return this.cache.get(cacheKey);
     }
     return null;
   }
   
+  /**
+   * Get a cache entry including stale (expired but revalidatable) values
+   * @param {string} cacheKey - The cache key to get
+   * @returns {{value: any, expiry: number, stale: boolean}|null} - The entry or null if not found
+   */
+  getCacheEntry(cacheKey) {
+    if (!this.cache.has(cacheKey)) return null;
+    
+    const expiry = this.cacheTTL.get(cacheKey);
+    const now = Date.now();
+    
+    // Too old to be useful even as a placeholder
+    if (now - expiry > this.maxStaleAge) {
+      this.cache.delete(cacheKey);
+      this.cacheTTL.delete(cacheKey);
+      return null;
+    }
+    
+    return {
+      value: this.cache.get(cacheKey),
+      expiry,
+      stale: expiry <= now
+    };
+  }
+  
+  /**
+   * List cache contents for diagnostics
+   * @returns {Array<{key: string, value: any, expiresIn: number, stale: boolean}>} - Entries sorted by key;
+   *   expiresIn is negative once an entry is stale
+   */
+  getCacheEntries() {
+    const now = Date.now();
+    
+    return [...this.cache.keys()]
+      .sort()
+      .map(key => {
+        const expiry = this.cacheTTL.get(key);
+        return {
+          key,
+          value: this.cache.get(key),
+          expiresIn: expiry - now,
+          stale: expiry <= now
+        };
+      });
+  }
+  
+  /**
+   * Check if a cached value is stale (expired and waiting for revalidation)
+   * @param {string} cacheKey - The cache key to check
+   * @returns {boolean} - True if the key is cached but expired
+   */
+  isStale(cacheKey) {
+    return Boolean(this.getCacheEntry(cacheKey)?.stale);
+  }
+  
+  /**
+   * Store a value in cache (memory and persistent layers)
+   * @param {string} cacheKey - The cache key to set
+   * @param {any} value - The value to cache
+   * @param {number} [ttl] - TTL in milliseconds (or use default)
+   */
+  setCache(cacheKey, value, ttl = null) {
+    const expiry = Date.now() + (ttl || this.getDefaultTTL(cacheKey));
+    this.cache.set(cacheKey, value);
+    this.cacheTTL.set(cacheKey, expiry);
+    
+    this.persistentCache.set(cacheKey, value, expiry);
+    this.notifyCacheListeners(cacheKey, value, false);
+    tabCoordinator.broadcast('cache-set', { key: cacheKey, value, expiry });
+  }
+  
+  /**
+   * Load persisted entries into memory. Entries already fetched this session win.
+   * @returns {Promise<void>}
+   */
+  async hydrateCache() {
+    const entries = await this.persistentCache.loadAll();
+    const now = Date.now();
+    
+    for (const entry of entries) {
+      if (this.cache.has(entry.key) || now - entry.expiry > this.maxStaleAge) continue;
+      
+      this.cache.set(entry.key, entry.value);
+      this.cacheTTL.set(entry.key, entry.expiry);
+      this.notifyCacheListeners(entry.key, entry.value, entry.expiry <= now);
+    }
+    
+    if (entries.length > 0) {
+      console.log(`Restored ${entries.length} cache entries from persistent storage`);
+    }
+  }
+  
+  /**
+   * Subscribe to cache updates (fresh results, revalidations and restored entries)
+   * @param {Function} listener - Called with (cacheKey, value, { stale })
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeToCache(listener) {
+    this.cacheListeners.add(listener);
+    return () => this.cacheListeners.delete(listener);
+  }
+  
+  /**
+   * Notify cache listeners of an update
+   * @param {string} cacheKey - The updated key
+   * @param {any} value - The new value
+   * @param {boolean} stale - Whether the value is stale
+   */
+  notifyCacheListeners(cacheKey, value, stale) {
+    for (const listener of this.cacheListeners) {
+      try {
+        listener(cacheKey, value, { stale });
+      } catch (error) {
+        console.error('Cache listener failed:', error);
+      }
+    }
+  }
+  
   /**
    * Clear cache entries
    * @param {string|RegExp} pattern - Cache key pattern to match
+   * @param {Object} [options] - Set remote: true when another tab already cleared storage
    */
-  clearCache(pattern = null) {
+  clearCache(pattern = null, options = {}) {
+    if (!options.remote) {
+      // Clear the persistent layer too so cleared values don't come back on reload
+      this.persistentCache.clear(pattern);
+      tabCoordinator.broadcast('cache-clear', { pattern });
+    }
+    
     if (!pattern) {
       this.cache.clear();
       this.cacheTTL.clear();
+      this.inFlight.clear();
       return;
     }
     
@@ -660,6 +1834,13 @@ class ApiManager {
       this.cache.delete(key);
       this.cacheTTL.delete(key);
     }
+    
+    // Later callers should start a fresh request rather than join one issued before the invalidation
+    for (const key of [...this.inFlight.keys()]) {
+      if (pattern instanceof RegExp ? pattern.test(key) : key.includes(pattern)) {
+        this.inFlight.delete(key);
+      }
+    }
   }
   
   // --- Data refresh management ---
@@ -702,6 +1883,32 @@ class ApiManager {
     this.lastUpdated.set(dataType, Date.now());
   }
   
+  /**
+   * Get wait-time percentiles per queue, from recently dequeued requests
+   * @returns {Object} - Per queue: { count, p50, p90, p99, max, oldestQueued } in ms
+   *   (oldestQueued is how long the request at the back of the line has waited so far)
+   */
+  getQueueWaitTimes() {
+    const now = Date.now();
+    const waitTimes = {};
+    
+    for (const [queueName, samples] of Object.entries(this.waitSamples)) {
+      const sorted = [...samples].sort((a, b) => a - b);
+      const queued = this.queues[queueName];
+      
+      waitTimes[queueName] = {
+        count: sorted.length,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+        oldestQueued: queued.length > 0 ? Math.max(...queued.map(request => now - request.queuedAt)) : 0
+      };
+    }
+    
+    return waitTimes;
+  }
+  
   /**
    * Get current API stats
    * @returns {Object} - Usage statistics
@@ -715,8 +1922,18 @@ class ApiManager {
         normal: this.queues.normal.length,
         low: this.queues.low.length
       },
+      queueWaitTimes: this.getQueueWaitTimes(),
+      activeDataRequests: this.activeDataRequests,
+      backoffTime: Math.max(this.getBackoffTime(), this.getRetryAfterUntil() - Date.now(), 0),
+      errorCount: this.errorCount,
       cacheSize: this.cache.size,
-      currentProvider: this.currentRpcUrl
+      staleEntries: [...this.cacheTTL.values()].filter(expiry => expiry <= Date.now()).length,
+      inFlight: this.inFlight.size,
+      pendingRequests: this.pendingRequests.size,
+      currentProvider: this.currentRpcUrl,
+      rpcEndpoints: this.rpcPool.getStats(),
+      budget: this.getBudgetSplit(),
+      tabRole: tabCoordinator.isLeader() ? 'leader' : 'follower'
     };
   }
 }
@@ -0,0 +1,101 @@
+// src/services/BatchRpcProvider.js
+import { ethers } from 'ethers';
+import { MONAD_TESTNET } from '../constants/blockchain';
+
+/**
+ * Static JSON-RPC provider that sends every call made in the same tick as one
+ * JSON-RPC batch array. ApiManager starts a drained group of data requests
+ * against one instance, so calls made together cost a single HTTP request.
+ * Calls made after awaiting earlier ones go out in later batches, each its own HTTP request.
+ */
+class BatchRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+  /**
+   * @param {string} url - RPC URL
+   * @param {ethers.providers.Networkish} [network] - Network (defaults to Monad testnet)
+   * @param {Function} [beforeFlush] - Called with the batch number before each batch is sent;
+   *   may return a promise to hold the batch back (e.g. until the rate budget allows it)
+   */
+  constructor(url, network = { chainId: parseInt(MONAD_TESTNET.chainId, 16), name: MONAD_TESTNET.chainName }, beforeFlush = null) {
+    super(url, network);
+    this.pendingBatch = null;
+    this.batchCount = 0;
+    this.beforeFlush = beforeFlush;
+  }
+
+  /**
+   * Queue a JSON-RPC call for the current batch
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC params
+   * @returns {Promise<any>} - The call result
+   */
+  send(method, params) {
+    const request = {
+      method,
+      params,
+      id: this._nextId++,
+      jsonrpc: '2.0'
+    };
+
+    if (!this.pendingBatch) {
+      this.pendingBatch = [];
+      // Flush once everything started in this tick has queued its call
+      setTimeout(() => this.flush(), 0);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pendingBatch.push({ request, resolve, reject });
+    });
+  }
+
+  /**
+   * Send the pending calls as one batch and settle each call on its own
+   */
+  async flush() {
+    const batch = this.pendingBatch;
+    this.pendingBatch = null;
+    if (!batch || batch.length === 0) return;
+
+    this.batchCount++;
+
+    try {
+      if (this.beforeFlush) await this.beforeFlush(this.batchCount);
+
+      const response = await ethers.utils.fetchJson(
+        this.connection,
+        JSON.stringify(batch.map(item => item.request))
+      );
+
+      // Nodes answer a rejected batch with a single error object
+      if (!Array.isArray(response)) {
+        const error = new Error(response?.error?.message || 'Invalid JSON-RPC batch response');
+        error.code = 'SERVER_ERROR';
+        batch.forEach(item => item.reject(error));
+        return;
+      }
+
+      const payloads = new Map(response.map(payload => [payload.id, payload]));
+
+      batch.forEach(({ request, resolve, reject }) => {
+        const payload = payloads.get(request.id);
+
+        if (!payload) {
+          const error = new Error(`Missing response for ${request.method} in JSON-RPC batch`);
+          error.code = 'SERVER_ERROR';
+          reject(error);
+        } else if (payload.error) {
+          // Same shape as ethers' own batch provider so revert data still decodes
+          const error = new Error(payload.error.message);
+          error.code = payload.error.code;
+          error.data = payload.error.data;
+          reject(error);
+        } else {
+          resolve(payload.result);
+        }
+      });
+    } catch (error) {
+      batch.forEach(item => item.reject(error));
+    }
+  }
+}
+
+export default BatchRpcProvider;
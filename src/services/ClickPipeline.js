@@ -0,0 +1,487 @@
+// src/services/ClickPipeline.js
+import { ethers } from 'ethers';
+import apiManager from './ApiManager';
+import tabCoordinator from './TabCoordinator';
+import gasLimitEstimator from './GasLimitEstimator';
+import metrics from './MetricsRegistry';
+
+// --- Metrics ---
+
+const poolInvalidations = metrics.counter(
+  'click_pool_invalidations_total',
+  'Pre-signed click pools thrown away by reason (fees, preset, gas-limit, conflict, send, reset, other-tab, not-leader)'
+);
+const clickBroadcastSeconds = metrics.histogram(
+  'click_broadcast_seconds',
+  'Time from a click to its transaction being broadcast, by source (pool or signed on demand)',
+  [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+// --- Pool settings ---
+
+// Most transactions prepared and signed together
+const WINDOW_SIZE = 10;
+
+// Click transactions kept signed ahead of time
+const POOL_SIZE = 10;
+
+// How often pooled transactions are checked against current fees and gas limit
+const POOL_CHECK_MS = 5000;
+
+// Pooled transactions are signed again once the gas price moves more than this, in percent
+const FEE_TOLERANCE_PERCENT = 25;
+
+// Clicks/sec is measured over this window
+const RATE_WINDOW_MS = 10000;
+
+// How long a worker gets to answer before signing falls back to the main thread
+const WORKER_TIMEOUT_MS = 10000;
+
+/**
+ * Turn BigNumbers into hex strings so a request can be posted to a worker
+ * @param {Object} request - Unsigned transaction
+ * @returns {Object}
+ */
+const serializeRequest = (request) => Object.fromEntries(
+  Object.entries(request).map(([key, value]) => [
+    key,
+    ethers.BigNumber.isBigNumber(value) ? value.toHexString() : value
+  ])
+);
+
+/**
+ * Signs transactions for one wallet in a Web Worker, or on the main thread
+ * where workers aren't available (or the worker fails)
+ */
+class BatchSigner {
+  constructor(wallet) {
+    this.wallet = wallet;
+    this.worker = null;
+    this.workerFailed = false;
+    this.nextId = 0;
+    // Worker calls waiting for an answer, by ID: { resolve, reject, timer }
+    this.calls = new Map();
+  }
+
+  /**
+   * Start the worker if there isn't one yet
+   * @returns {boolean} - Whether a worker is running
+   */
+  startWorker() {
+    if (this.worker) return true;
+    if (this.workerFailed || typeof Worker === 'undefined') return false;
+
+    try {
+      this.worker = new Worker(new URL('./ClickSignerWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn("Click signer worker unavailable, signing on the main thread:", error.message);
+      this.workerFailed = true;
+      return false;
+    }
+
+    this.worker.onmessage = ({ data }) => {
+      const call = this.calls.get(data.id);
+      if (!call) return;
+
+      this.calls.delete(data.id);
+      clearTimeout(call.timer);
+      if (data.error) {
+        call.reject(new Error(data.error));
+      } else {
+        call.resolve(data);
+      }
+    };
+    this.worker.onerror = (event) => {
+      console.warn("Click signer worker failed, signing on the main thread:", event.message);
+      this.stopWorker(new Error(event.message || "Signer worker failed"));
+      this.workerFailed = true;
+    };
+
+    // A failed init shows up as a failed sign, which falls back to the main thread
+    this.call('init', { privateKey: this.wallet.privateKey }).catch(() => {});
+    return true;
+  }
+
+  /**
+   * Post a message to the worker and wait for its answer
+   * @param {string} type - Message type
+   * @param {Object} payload - Message fields
+   * @returns {Promise<Object>} - The answer
+   */
+  call(type, payload) {
+    const id = ++this.nextId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.calls.delete(id);
+        reject(new Error("Signer worker timed out"));
+      }, WORKER_TIMEOUT_MS);
+
+      this.calls.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ id, type, ...payload });
+    });
+  }
+
+  /**
+   * Sign transactions
+   * @param {Array<Object>} requests - Complete unsigned transactions
+   * @returns {Promise<Array<string>>} - Signed raw transactions, same order
+   */
+  async sign(requests) {
+    if (this.startWorker()) {
+      try {
+        const { signed } = await this.call('sign', { requests: requests.map(serializeRequest) });
+        return signed;
+      } catch (error) {
+        console.warn("Signing in the worker failed, retrying on the main thread:", error.message);
+      }
+    }
+
+    return Promise.all(requests.map(request => this.wallet.signTransaction(request)));
+  }
+
+  /**
+   * Stop the worker and fail anything waiting on it
+   * @param {Error} [error] - Error for waiting calls
+   */
+  stopWorker(error = new Error("Signer stopped")) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    for (const call of this.calls.values()) {
+      clearTimeout(call.timer);
+      call.reject(error);
+    }
+    this.calls.clear();
+  }
+}
+
+/**
+ * Sends clicks from one gas wallet. The contract credits msg.sender, so clicks can't be
+ * spread over several wallets - instead, the pipeline keeps a pool of click transactions
+ * signed ahead of time (consecutive held nonces, one fee quote and gas limit per window
+ * of up to 10, signed in a worker). A click only claims the next one and hands it to
+ * ApiManager's transaction lane, which broadcasts at the rate limit while the pool refills.
+ *
+ * The pool is thrown away and signed again when fees drift past the tolerance or the
+ * fee preset changes, when the learned gas limit no longer covers it, and whenever the
+ * nonce manager takes its nonces back (another send, a nonce error or conflict, another tab).
+ *
+ * Only the leader tab keeps a pool - tabs on the same gas wallet would otherwise keep taking
+ * each other's nonces back. Other tabs sign their clicks as they come. A pool given up for
+ * another tab stays empty until the next click here.
+ */
+class ClickPipeline {
+  /**
+   * @param {PersistentGasWallet} gasWallet - The gas wallet
+   * @param {Object} tx - The click transaction (to, data)
+   * @param {Object} options - Options
+   * @param {string} options.action - Name the gas limit is learned under
+   * @param {ethers.BigNumber} options.fallbackGasLimit - Gas limit if the node can't estimate
+   */
+  constructor(gasWallet, tx, { action, fallbackGasLimit }) {
+    this.gasWallet = gasWallet;
+    this.tx = tx;
+    this.action = action;
+    this.fallbackGasLimit = fallbackGasLimit;
+    this.signer = null;
+    // Clicks waiting for a transaction: { resolve, reject, clickedAt }
+    this.queue = [];
+    // Signed transactions ready to go, in nonce order: { request, signed, feePreset, estimatedGasPrice }
+    this.ready = [];
+    // Bumped whenever the pool is thrown away, so windows signed meanwhile are dropped too
+    this.generation = 0;
+    this.isRefilling = false;
+    this.isChecking = false;
+    this.isStopped = false;
+    // Set when another tab took the pool's nonces; cleared by the next click here
+    this.isDormant = false;
+    this.checkTimer = null;
+    // When recent clicks were broadcast and confirmed, for clicks/sec
+    this.sentTimes = [];
+    this.confirmedTimes = [];
+    // Passed with every held nonce - the nonce manager calls it when it takes them back
+    this.handleReclaim = (nonces, reason) => this.drop(reason);
+    this.stopFollowingLeadership = tabCoordinator.onLeadershipChange((isLeader) => {
+      if (isLeader) {
+        this.warmUp();
+      } else {
+        this.invalidate('not-leader');
+      }
+    });
+  }
+
+  /**
+   * Number of transactions to keep signed ahead of time
+   * @returns {number}
+   */
+  get poolSize() {
+    return tabCoordinator.isLeader() && !this.isDormant ? POOL_SIZE : 0;
+  }
+
+  /**
+   * Queue a click
+   * @returns {Promise<ethers.providers.TransactionResponse>} - Resolves once the click is broadcast
+   */
+  enqueue() {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ resolve, reject, clickedAt: Date.now() });
+      this.isDormant = false;
+      this.dispatch('pool');
+      this.refill();
+    });
+  }
+
+  /**
+   * Fill the pool ahead of the first click
+   */
+  warmUp() {
+    this.refill();
+  }
+
+  /**
+   * Pair queued clicks with pooled transactions and send them
+   * @param {string} source - 'pool' when a click found its transaction ready, 'signed' when it waited for signing
+   */
+  dispatch(source) {
+    while (this.queue.length > 0 && this.ready.length > 0) {
+      const entry = this.ready.shift();
+      if (entry.isHeld && !this.gasWallet.nonces.claim(entry.request.nonce)) {
+        // Taken back without the pool hearing of it - nothing behind it is usable either
+        this.invalidate('conflict');
+        break;
+      }
+      this.broadcast(this.queue.shift(), entry, source);
+    }
+  }
+
+  /**
+   * Sign windows of transactions until the pool is full and every queued click has one
+   */
+  async refill() {
+    if (this.isRefilling || this.isStopped) return;
+
+    this.isRefilling = true;
+    try {
+      while (!this.isStopped) {
+        const wanted = this.poolSize + this.queue.length - this.ready.length;
+        if (wanted <= 0) break;
+
+        const { nonces } = this.gasWallet;
+        const room = this.gasWallet.maxPendingTx - this.gasWallet.pendingTxCount - nonces.heldCount;
+        if (room <= 0) {
+          if (this.ready.length === 0) {
+            const error = new Error(`Too many pending transactions (${this.gasWallet.pendingTxCount}). Please wait for some to confirm.`);
+            this.queue.splice(0).forEach(click => click.reject(error));
+          }
+          break;
+        }
+
+        const generation = this.generation;
+        let entries;
+        try {
+          entries = await this.signWindow(Math.min(WINDOW_SIZE, wanted, room));
+        } catch (error) {
+          // Waiting clicks have nothing left to go out with; the next click tries again
+          this.queue.splice(0).forEach(click => click.reject(error));
+          break;
+        }
+
+        if (generation !== this.generation || this.isStopped) {
+          // Thrown away while signing - free whatever is still held for it
+          nonces.reclaimHeld('stale');
+          continue;
+        }
+
+        this.ready.push(...entries);
+        this.startChecking();
+        this.dispatch('signed');
+      }
+    } finally {
+      this.isRefilling = false;
+    }
+  }
+
+  /**
+   * Get the signer for the gas wallet's current key
+   * @returns {BatchSigner}
+   */
+  getSigner() {
+    if (!this.signer || this.signer.wallet !== this.gasWallet.wallet) {
+      if (this.signer) this.signer.stopWorker();
+      this.signer = new BatchSigner(this.gasWallet.wallet);
+    }
+    return this.signer;
+  }
+
+  /**
+   * Prepare and sign one window of click transactions. In the leader tab their nonces are held
+   * until clicks claim them; elsewhere the window only covers queued clicks and is sent right away.
+   * @param {number} count - Transactions to sign
+   * @returns {Promise<Array<Object>>} - Pool entries, in nonce order
+   */
+  async signWindow(count) {
+    const gasLimit = await gasLimitEstimator.getGasLimit(this.action, this.tx, this.gasWallet, this.fallbackGasLimit);
+    const txs = Array.from({ length: count }, () => ({ ...this.tx, gasLimit }));
+    const isHeld = tabCoordinator.isLeader();
+    const { requests, feePreset, estimatedGasPrice } = await this.gasWallet.prepareBatch(txs, {
+      hold: isHeld ? this.handleReclaim : null
+    });
+
+    let signed;
+    try {
+      signed = await this.getSigner().sign(requests);
+    } catch (error) {
+      requests.forEach(request => this.gasWallet.nonces.release(request.nonce, error));
+      throw error;
+    }
+
+    return requests.map((request, index) => ({ request, signed: signed[index], feePreset, estimatedGasPrice, isHeld }));
+  }
+
+  /**
+   * Hand a click's signed transaction to the transaction lane.
+   * Not awaited - the lane sends them in nonce order at the rate limit.
+   * @param {Object} click - Queued click
+   * @param {Object} entry - Pool entry
+   * @param {string} source - Where the transaction came from, for metrics
+   */
+  broadcast(click, entry, source) {
+    const { request, signed, feePreset } = entry;
+
+    apiManager.sendTransaction(() => this.gasWallet.sendSigned(signed, request, feePreset))
+      .then((response) => {
+        clickBroadcastSeconds.observe((Date.now() - click.clickedAt) / 1000, { source });
+        this.sentTimes.push(Date.now());
+        gasLimitEstimator.watch(this.action, request, response);
+        response.wait().then(() => this.confirmedTimes.push(Date.now())).catch(() => {});
+        click.resolve(response);
+      })
+      .catch(error => click.reject(error));
+  }
+
+  /**
+   * Throw the pool away and take its nonces back; it signs again from current fees
+   * @param {string} reason - Why, for metrics
+   * @param {number} [used] - Pending transaction count just read, when something else used the pool's nonces
+   */
+  invalidate(reason, used = 0) {
+    console.log(`Re-signing pooled clicks (${reason})`);
+    // Calls drop through handleReclaim; dropping again covers a pool whose nonces are gone already
+    this.gasWallet.nonces.reclaimHeld(reason, used);
+    this.drop(reason);
+  }
+
+  /**
+   * Forget pooled transactions once their nonces were taken back, and sign new ones
+   * @param {string} reason - Why, for metrics
+   */
+  drop(reason) {
+    this.generation++;
+    if (reason === 'other-tab') this.isDormant = true;
+    if (this.ready.length > 0) {
+      poolInvalidations.inc({ reason });
+      this.ready = [];
+    }
+    if (!this.isStopped) setTimeout(() => this.refill(), 0);
+  }
+
+  /**
+   * Check pooled transactions every few seconds while there are any
+   */
+  startChecking() {
+    if (!this.checkTimer) {
+      this.checkTimer = setInterval(() => this.check(), POOL_CHECK_MS);
+    }
+  }
+
+  /**
+   * Throw the pool away if it's priced off current fees, its gas limit fell behind, or something
+   * else used its first nonce. Reads go through ApiManager, so an idle pool stays within the rate budget.
+   */
+  async check() {
+    if (this.ready.length === 0) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+      // A refill that failed gets another try while the wallet is in use
+      if (this.queue.length === 0) this.refill();
+      return;
+    }
+    if (this.isChecking) return;
+
+    this.isChecking = true;
+    try {
+      const pooled = this.ready[0];
+      const known = gasLimitEstimator.getKnown(this.action, this.tx.to);
+      // Only a learned limit above the pooled one means it fell behind - with none yet, re-signing would use the same fallback
+      if (known && known.gt(pooled.request.gasLimit)) {
+        this.invalidate('gas-limit');
+        return;
+      }
+
+      const generation = this.generation;
+      const address = this.gasWallet.getAddress();
+      const options = { priority: 'low', tag: address };
+      const [fees, pending] = await Promise.all([
+        apiManager.request(() => this.gasWallet.getFees(), null, null, options),
+        apiManager.request(() => this.gasWallet.provider.getTransactionCount(address, 'pending'), null, null, options)
+      ]);
+      if (generation !== this.generation || this.ready.length === 0) return;
+
+      const drift = fees.estimatedGasPrice.sub(pooled.estimatedGasPrice).abs()
+        .mul(100).div(pooled.estimatedGasPrice);
+      if (pending > this.ready[0].request.nonce) {
+        this.invalidate('conflict', pending);
+      } else if (fees.preset !== pooled.feePreset) {
+        this.invalidate('preset');
+      } else if (drift.gt(FEE_TOLERANCE_PERCENT)) {
+        this.invalidate('fees');
+      }
+    } catch (error) {
+      console.warn("Failed to check pooled clicks:", error.message);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Get the pipeline's throughput
+   * @returns {{queued: number, pooled: number, sentPerSecond: number, confirmedPerSecond: number}}
+   */
+  getStats() {
+    const since = Date.now() - RATE_WINDOW_MS;
+    this.sentTimes = this.sentTimes.filter(time => time >= since);
+    this.confirmedTimes = this.confirmedTimes.filter(time => time >= since);
+
+    return {
+      queued: this.queue.length,
+      pooled: this.ready.length,
+      sentPerSecond: this.sentTimes.length / (RATE_WINDOW_MS / 1000),
+      confirmedPerSecond: this.confirmedTimes.length / (RATE_WINDOW_MS / 1000)
+    };
+  }
+
+  /**
+   * Stop the pipeline: fail queued clicks, give the pool's nonces back and shut the worker down
+   */
+  stop() {
+    this.isStopped = true;
+    this.stopFollowingLeadership();
+    clearInterval(this.checkTimer);
+    this.checkTimer = null;
+
+    const error = new Error("Gas wallet changed");
+    this.queue.splice(0).forEach(click => click.reject(error));
+    this.ready = [];
+    this.generation++;
+    if (this.gasWallet.wallet) this.gasWallet.nonces.reclaimHeld('stopped');
+
+    if (this.signer) {
+      this.signer.stopWorker();
+      this.signer = null;
+    }
+  }
+}
+
+export default ClickPipeline;
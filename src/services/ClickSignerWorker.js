@@ -0,0 +1,33 @@
+// src/services/ClickSignerWorker.js
+import { ethers } from 'ethers';
+
+// Signs batches of prepared transactions off the main thread, so signing a window
+// of clicks doesn't hold up the UI. Messages:
+// - { id, type: 'init', privateKey } -> { id, address }
+// - { id, type: 'sign', requests } -> { id, signed } (raw transactions, same order)
+// Failures answer { id, error }.
+
+let wallet = null;
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+
+  try {
+    if (type === 'init') {
+      wallet = new ethers.Wallet(data.privateKey);
+      self.postMessage({ id, address: wallet.address });
+      return;
+    }
+
+    if (type === 'sign') {
+      if (!wallet) throw new Error("Signer not initialized");
+      const signed = await Promise.all(data.requests.map(request => wallet.signTransaction(request)));
+      self.postMessage({ id, signed });
+      return;
+    }
+
+    throw new Error(`Unknown message type "${type}"`);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
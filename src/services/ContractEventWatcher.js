@@ -0,0 +1,313 @@
+// src/services/ContractEventWatcher.js
+import { ethers } from 'ethers';
+import { COOKIE_CLICKER_ADDRESS, COOKIE_CLICKER_ABI } from '../constants/contracts';
+import { getReadProvider } from './ContractService';
+import apiManager from './ApiManager';
+import subscriptionService from './SubscriptionService';
+import tabCoordinator from './TabCoordinator';
+
+const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
+
+// Events that change cached contract data
+const WATCHED_EVENTS = ['Click', 'Redeem', 'ContractFunded'];
+
+/**
+ * Follows Click, Redeem and ContractFunded logs from the clicker contract and
+ * keeps the ApiManager cache in step with them:
+ * - 'invalidate' mode clears only the affected keys so the next read is fresh
+ * - 'apply' mode writes values straight from the event payload (no extra reads)
+ * - 'auto' (default) applies payloads while the data lane is busy, otherwise invalidates
+ * Logs arrive over the WebSocket subscription when one is connected, and by
+ * polling eth_getLogs otherwise. Only the leader tab polls - the others get
+ * the resulting cache updates from it.
+ */
+class ContractEventWatcher {
+  constructor() {
+    this.pollInterval = 10 * 1000;  // 10 seconds
+    this.maxBlockRange = 500;       // Larger gaps are skipped with a full invalidation
+    this.busyQueueThreshold = 5;    // Queued data requests before 'auto' applies payloads
+    this.mode = 'auto';
+
+    this.watchedAddresses = new Set();
+    this.listeners = new Set();
+    this.processedLogs = new Set();
+    this.lastBlock = null;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.socketUnsubscribers = [];
+  }
+
+  // --- Watch management ---
+
+  /**
+   * Start following events for a player address
+   * @param {string} address - Player address
+   */
+  watch(address) {
+    if (!address) return;
+    this.watchedAddresses.add(ethers.utils.getAddress(address));
+    this.start();
+  }
+
+  /**
+   * Stop following events for a player address
+   * @param {string} address - Player address
+   */
+  unwatch(address) {
+    if (!address) return;
+    this.watchedAddresses.delete(ethers.utils.getAddress(address));
+
+    if (this.watchedAddresses.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Start following logs - over the WebSocket when connected, polling otherwise
+   */
+  start() {
+    if (this.socketUnsubscribers.length > 0) return;
+
+    this.socketUnsubscribers = [
+      subscriptionService.on('status', status => this.handleTransportStatus(status)),
+      subscriptionService.on('log', log => this.handleLog(log)),
+      // Heads can arrive before their logs, so only count the previous block as processed
+      subscriptionService.on('block', blockNumber => {
+        this.lastBlock = Math.max(this.lastBlock || 0, blockNumber - 1);
+      })
+    ];
+
+    subscriptionService.connect();
+
+    if (!subscriptionService.isConnected()) {
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Stop following logs
+   */
+  stop() {
+    this.socketUnsubscribers.forEach(unsubscribe => unsubscribe());
+    this.socketUnsubscribers = [];
+    // Close the socket start() opened; block listeners see 'disconnected' and go back to timers
+    subscriptionService.disconnect();
+    this.stopPolling();
+    this.lastBlock = null;
+  }
+
+  /**
+   * Switch between pushed logs and polling as the socket comes and goes
+   * @param {string} status - Subscription transport status
+   */
+  handleTransportStatus(status) {
+    if (status === 'connected') {
+      this.stopPolling();
+      // Catch up on anything logged while the socket was down
+      if (this.lastBlock !== null) {
+        this.poll();
+      }
+    } else if (status === 'disconnected') {
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Start the polling loop
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return;
+      this.poll();
+    }, this.pollInterval);
+
+    this.poll();
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Subscribe to processed events
+   * @param {Function} listener - Called with { name, player, args, applied, blockNumber, txHash }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // --- Polling ---
+
+  /**
+   * Fetch new logs since the last processed block
+   */
+  async poll() {
+    if (this.isPolling || !tabCoordinator.isLeader()) return;
+    this.isPolling = true;
+
+    try {
+      const fromBlock = this.lastBlock !== null ? this.lastBlock + 1 : null;
+
+      const { blockNumber, logs } = await apiManager.request(async (rpcUrl, batchProvider) => {
+        const provider = getReadProvider(null, rpcUrl, batchProvider);
+
+        // First poll only learns the head - cached values were read at or after it
+        if (fromBlock === null) {
+          return { blockNumber: await provider.getBlockNumber(), logs: [] };
+        }
+
+        // Started together so both calls share one JSON-RPC batch
+        const [latestBlock, newLogs] = await Promise.all([
+          provider.getBlockNumber(),
+          provider.getLogs({
+            address: COOKIE_CLICKER_ADDRESS,
+            fromBlock,
+            toBlock: 'latest',
+            topics: [WATCHED_EVENTS.map(name => clickerInterface.getEventTopic(name))]
+          })
+        ]);
+
+        return { blockNumber: latestBlock, logs: newLogs };
+      }, null, null, { priority: 'normal', batchable: true, maxRetries: 1 });
+
+      // Too far behind (e.g. tab was hidden) - drop everything we might have missed
+      if (fromBlock !== null && blockNumber - fromBlock > this.maxBlockRange) {
+        console.log(`Event watcher skipped ${blockNumber - fromBlock} blocks, invalidating watched data`);
+        this.invalidateAll();
+      } else {
+        logs.forEach(log => this.handleLog(log));
+      }
+
+      const lastLogBlock = logs.reduce((max, log) => Math.max(max, log.blockNumber), 0);
+      this.lastBlock = Math.max(blockNumber, lastLogBlock, this.lastBlock || 0);
+    } catch (error) {
+      console.warn('Contract event poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // --- Event handling ---
+
+  /**
+   * Check whether event payloads should be written to the cache directly
+   * @returns {boolean}
+   */
+  shouldApplyPayloads() {
+    if (this.mode !== 'auto') return this.mode === 'apply';
+
+    const { queueLengths } = apiManager.getStats();
+    const queuedData = queueLengths.high + queueLengths.normal + queueLengths.low;
+    return queuedData >= this.busyQueueThreshold || apiManager.getBackoffTime() > 0;
+  }
+
+  /**
+   * Update the cache for one log
+   * @param {Object} log - Raw log
+   */
+  handleLog(log) {
+    // Overlapping polls can return the same log twice
+    const logId = `${log.transactionHash}:${log.logIndex}`;
+    if (this.processedLogs.has(logId)) return;
+    this.processedLogs.add(logId);
+    if (this.processedLogs.size > 1000) {
+      this.processedLogs = new Set([...this.processedLogs].slice(-500));
+    }
+
+    let parsed;
+    try {
+      parsed = clickerInterface.parseLog(log);
+    } catch (error) {
+      console.warn('Unrecognized clicker log:', error.message);
+      return;
+    }
+
+    const player = parsed.name === 'ContractFunded' ? null : parsed.args.player;
+    if (player && !this.watchedAddresses.has(player)) return;
+
+    const applied = this.shouldApplyPayloads();
+
+    switch (parsed.name) {
+      case 'Click':
+        if (applied) {
+          apiManager.setCache(`player-score:${player}`, parsed.args.newScore.toNumber());
+          // Redeemable amount depends on contract rounding, so it is re-read rather than derived
+          apiManager.clearCache(`redeemable-tokens:${player}`);
+        } else {
+          apiManager.clearCache(`player-score:${player}`);
+          apiManager.clearCache(`redeemable-tokens:${player}`);
+        }
+        break;
+
+      case 'Redeem':
+        // The payload doesn't carry the new score or balance - always re-read
+        apiManager.clearCache(`player-score:${player}`);
+        apiManager.clearCache(`redeemable-tokens:${player}`);
+        apiManager.clearCache(`token-balance:${player}`);
+        break;
+
+      case 'ContractFunded':
+        if (applied && !parsed.args.amount.isZero()) {
+          apiManager.setCache('contract-has-tokens', true);
+        } else {
+          apiManager.clearCache('contract-has-tokens');
+        }
+        break;
+
+      default:
+        return;
+    }
+
+    this.notify({
+      name: parsed.name,
+      player,
+      args: parsed.args,
+      applied: applied && parsed.name !== 'Redeem',
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash
+    });
+  }
+
+  /**
+   * Invalidate every key the watcher is responsible for
+   */
+  invalidateAll() {
+    for (const player of this.watchedAddresses) {
+      apiManager.clearCache(`player-score:${player}`);
+      apiManager.clearCache(`redeemable-tokens:${player}`);
+      apiManager.clearCache(`token-balance:${player}`);
+    }
+    apiManager.clearCache('contract-has-tokens');
+
+    this.notify({ name: 'Resync', player: null, args: null, applied: false });
+  }
+
+  /**
+   * Notify event listeners
+   * @param {Object} event - Processed event
+   */
+  notify(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Contract event listener failed:', error);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const contractEventWatcher = new ContractEventWatcher();
+
+export default contractEventWatcher;
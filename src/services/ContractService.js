@@ -4,7 +4,9 @@ import {
   COOKIE_TOKEN_ADDRESS, 
   COOKIE_CLICKER_ADDRESS,
   COOKIE_TOKEN_ABI,
-  COOKIE_CLICKER_ABI
+  COOKIE_CLICKER_ABI,
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI
 } from '../constants/contracts';
 import { MONAD_TESTNET } from '../constants/blockchain';
 import apiManager from './ApiManager';
@@ -14,13 +16,56 @@ let clickerContract = null;
 let tokenContract = null;
 let contractDecimals = null;
 
+// Cache lifetimes for view reads - shared by the single getters and the multicall path
+const CACHE_TTLS = {
+  contractHasTokens: 300000,  // 5 minutes
+  playerScore: 30000,         // 30 seconds
+  clicksPerToken: 1800000,    // 30 minutes
+  redeemableTokens: 180000,   // 3 minutes
+  tokenBalance: 10000         // 10 seconds
+};
+
+// Interfaces for encoding multicall sub-calls
+const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
+const tokenInterface = new ethers.utils.Interface(COOKIE_TOKEN_ABI);
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+// null = unknown, false = no multicall contract at MULTICALL3_ADDRESS
+let multicallAvailable = null;
+
+// One provider per RPC URL so pool rotation doesn't re-detect the network on every request
+const providerCache = new Map();
+
 /**
  * Get provider with proper RPC URL
  * @param {string} rpcUrl - Optional specific RPC URL
  * @returns {ethers.providers.Provider} - The provider instance
  */
 const getProvider = (rpcUrl) => {
-  return new ethers.providers.JsonRpcProvider(rpcUrl || MONAD_TESTNET.rpcUrls[0]);
+  const url = rpcUrl || MONAD_TESTNET.rpcUrls[0];
+  
+  if (!providerCache.has(url)) {
+    providerCache.set(url, new ethers.providers.StaticJsonRpcProvider(url, {
+      chainId: parseInt(MONAD_TESTNET.chainId, 16),
+      name: MONAD_TESTNET.chainName
+    }));
+  }
+  
+  return providerCache.get(url);
+};
+
+/**
+ * Pick the provider for a read - a JSON-RPC batch from ApiManager comes first, then
+ * the endpoint chosen by the ApiManager pool, then the caller's provider
+ * @param {ethers.providers.Provider} provider - Caller-supplied provider
+ * @param {string} rpcUrl - RPC URL chosen by ApiManager
+ * @param {ethers.providers.Provider} [batchProvider] - Batch provider when running in a JSON-RPC batch
+ * @returns {ethers.providers.Provider} - The provider to read from
+ */
+export const getReadProvider = (provider, rpcUrl, batchProvider) => {
+  if (batchProvider) return batchProvider;
+  if (rpcUrl) return getProvider(rpcUrl);
+  return provider || getProvider();
 };
 
 /**
@@ -94,20 +139,18 @@ export const getCookieTokenContract = (signerOrProvider, rpcUrl) => {
  */
 export const checkContractHasTokens = async (provider) => {
   // Use API manager for rate-limited request
-  return apiManager.request(async (rpcUrl) => {
-    if (!provider) {
-      provider = getProvider(rpcUrl);
-    }
-    
-    try {
-      const contract = getCookieClickerContract(provider, rpcUrl);
-      const balance = await contract.getContractBalance();
-      return !balance.isZero();
-    } catch (error) {
+  // Errors propagate to ApiManager so the endpoint is scored and the request retried
+  return apiManager.request(async (rpcUrl, batchProvider) => {
+    const contract = getCookieClickerContract(getReadProvider(provider, rpcUrl, batchProvider));
+    const balance = await contract.getContractBalance();
+    return !balance.isZero();
+  }, 'contract-has-tokens', CACHE_TTLS.contractHasTokens, { priority: 'low', batchable: true }) // Cache for 5 minutes, lower priority
+    .catch(error => {
+      // A cancelled request must not resolve into a default value
+      if (apiManager.isAbortError(error)) throw error;
       console.error("Error checking contract tokens:", error);
       return true; // Assume tokens are available on error
-    }
-  }, 'contract-has-tokens', 300000, { priority: 'low' }); // Cache for 5 minutes, lower priority
+    });
 };
 
 /**
@@ -122,20 +165,16 @@ export const getPlayerScore = async (provider, address) => {
   }
   
   // Use API manager for rate-limited request
-  return apiManager.request(async (rpcUrl) => {
-    if (!provider) {
-      provider = getProvider(rpcUrl);
-    }
-    
-    try {
-      const contract = getCookieClickerContract(provider, rpcUrl);
-      const score = await contract.getScore(address);
-      return score.toNumber();
-    } catch (error) {
+  return apiManager.request(async (rpcUrl, batchProvider) => {
+    const contract = getCookieClickerContract(getReadProvider(provider, rpcUrl, batchProvider));
+    const score = await contract.getScore(address);
+    return score.toNumber();
+  }, `player-score:${address}`, CACHE_TTLS.playerScore, { priority: 'high', batchable: true, tag: address }) // Cache for 30 seconds, high priority
+    .catch(error => {
+      if (apiManager.isAbortError(error)) throw error;
       console.error("Error getting player score:", error);
       return 0; // Return 0 on error
-    }
-  }, `player-score:${address}`, 30000, { priority: 'high' }); // Cache for 30 seconds, high priority
+    });
 };
 
 /**
@@ -145,20 +184,16 @@ export const getPlayerScore = async (provider, address) => {
  */
 export const getClicksPerToken = async (provider) => {
   // Use API manager for rate-limited request
-  return apiManager.request(async (rpcUrl) => {
-    if (!provider) {
-      provider = getProvider(rpcUrl);
-    }
-    
-    try {
-      const contract = getCookieClickerContract(provider, rpcUrl);
-      const clicksPerToken = await contract.clicksPerToken();
-      return clicksPerToken.toNumber();
-    } catch (error) {
+  return apiManager.request(async (rpcUrl, batchProvider) => {
+    const contract = getCookieClickerContract(getReadProvider(provider, rpcUrl, batchProvider));
+    const clicksPerToken = await contract.clicksPerToken();
+    return clicksPerToken.toNumber();
+  }, 'clicks-per-token', CACHE_TTLS.clicksPerToken, { priority: 'low', batchable: true }) // Cache for 30 minutes, lower priority
+    .catch(error => {
+      if (apiManager.isAbortError(error)) throw error;
       console.error("Error getting clicks per token:", error);
       return 10; // Default to 10 on error
-    }
-  }, 'clicks-per-token', 1800000, { priority: 'low' }); // Cache for 30 minutes, lower priority
+    });
 };
 
 /**
@@ -173,20 +208,16 @@ export const getRedeemableTokens = async (provider, address) => {
   }
   
   // Use API manager for rate-limited request
-  return apiManager.request(async (rpcUrl) => {
-    if (!provider) {
-      provider = getProvider(rpcUrl);
-    }
-    
-    try {
-      const contract = getCookieClickerContract(provider, rpcUrl);
-      const rawTokens = await contract.getRedeemableTokens(address);
-      return rawTokens.toString();
-    } catch (error) {
+  return apiManager.request(async (rpcUrl, batchProvider) => {
+    const contract = getCookieClickerContract(getReadProvider(provider, rpcUrl, batchProvider));
+    const rawTokens = await contract.getRedeemableTokens(address);
+    return rawTokens.toString();
+  }, `redeemable-tokens:${address}`, CACHE_TTLS.redeemableTokens, { priority: 'normal', batchable: true, tag: address }) // Cache for 3 minutes
+    .catch(error => {
+      if (apiManager.isAbortError(error)) throw error;
       console.error("Error getting redeemable tokens:", error);
       return "0";
-    }
-  }, `redeemable-tokens:${address}`, 180000, { priority: 'normal' }); // Cache for 3 minutes
+    });
 };
 
 /**
@@ -201,15 +232,10 @@ export const getTokenBalance = async (provider, address) => {
   }
   
   // Use API manager for rate-limited request
-  return apiManager.request(async (rpcUrl) => {
-    if (!provider) {
-      console.log("No provider provided for balance check, getting new provider...");
-      provider = getProvider(rpcUrl);
-    }
-    
+  return apiManager.request(async (rpcUrl, batchProvider) => {
     try {
       console.log(`Fetching token balance for ${address}...`);
-      const contract = getCookieTokenContract(provider, rpcUrl);
+      const contract = getCookieTokenContract(getReadProvider(provider, rpcUrl, batchProvider));
       console.log("Got token contract instance");
       
       console.log("Getting token decimals...");
@@ -227,7 +253,224 @@ export const getTokenBalance = async (provider, address) => {
       return formattedBalance;
     } catch (error) {
       console.error("Error getting token balance:", error.message);
-      throw new Error(`Failed to get token balance: ${error.message}`);
+      // Keep the original error's code so ApiManager can score the endpoint
+      const wrappedError = new Error(`Failed to get token balance: ${error.message}`);
+      wrappedError.code = error.code;
+      throw wrappedError;
+    }
+  }, `token-balance:${address}`, CACHE_TTLS.tokenBalance, { priority: 'high', batchable: true, tag: address }); // Cache for only 10 seconds, highest priority
+};
+
+/**
+ * Describe the view reads that make up a player data refresh
+ * @param {string} address - Player's address
+ * @param {boolean} includeConfig - Include contract configuration reads
+ * @returns {Array<Object>} - Read descriptors
+ */
+const getPlayerDataReads = (address, includeConfig) => {
+  const reads = [
+    {
+      field: 'score',
+      cacheKey: `player-score:${address}`,
+      ttl: CACHE_TTLS.playerScore,
+      target: COOKIE_CLICKER_ADDRESS,
+      contractInterface: clickerInterface,
+      method: 'getScore',
+      args: [address],
+      decode: ([score]) => score.toNumber(),
+      fetch: (provider) => getPlayerScore(provider, address)
+    },
+    {
+      field: 'redeemableTokens',
+      cacheKey: `redeemable-tokens:${address}`,
+      ttl: CACHE_TTLS.redeemableTokens,
+      target: COOKIE_CLICKER_ADDRESS,
+      contractInterface: clickerInterface,
+      method: 'getRedeemableTokens',
+      args: [address],
+      decode: ([rawTokens]) => rawTokens.toString(),
+      fetch: (provider) => getRedeemableTokens(provider, address)
+    },
+    {
+      field: 'tokenBalance',
+      cacheKey: `token-balance:${address}`,
+      ttl: CACHE_TTLS.tokenBalance,
+      target: COOKIE_TOKEN_ADDRESS,
+      contractInterface: tokenInterface,
+      method: 'balanceOf',
+      args: [address],
+      decode: ([balance]) => ethers.utils.formatUnits(balance, 18),
+      fetch: (provider) => getTokenBalance(provider, address)
     }
-  }, `token-balance:${address}`, 10000, { priority: 'high' }); // Cache for only 10 seconds, highest priority
-};
\ No newline at end of file
+  ];
+  
+  if (includeConfig) {
+    reads.push(
+      {
+        field: 'clicksPerToken',
+        cacheKey: 'clicks-per-token',
+        ttl: CACHE_TTLS.clicksPerToken,
+        target: COOKIE_CLICKER_ADDRESS,
+        contractInterface: clickerInterface,
+        method: 'clicksPerToken',
+        args: [],
+        decode: ([clicksPerToken]) => clicksPerToken.toNumber(),
+        fetch: (provider) => getClicksPerToken(provider)
+      },
+      {
+        field: 'contractHasTokens',
+        cacheKey: 'contract-has-tokens',
+        ttl: CACHE_TTLS.contractHasTokens,
+        target: COOKIE_CLICKER_ADDRESS,
+        contractInterface: clickerInterface,
+        method: 'getContractBalance',
+        args: [],
+        decode: ([balance]) => !balance.isZero(),
+        fetch: (provider) => checkContractHasTokens(provider)
+      }
+    );
+  }
+  
+  return reads;
+};
+
+/**
+ * Execute one view read with a plain eth_call
+ * @param {ethers.providers.Provider} provider - Provider to call through
+ * @param {Object} read - Read descriptor
+ * @returns {Promise<any>} - The decoded value
+ */
+const callRead = async (provider, read) => {
+  const result = await provider.call({
+    to: read.target,
+    data: read.contractInterface.encodeFunctionData(read.method, read.args)
+  });
+  return read.decode(read.contractInterface.decodeFunctionResult(read.method, result));
+};
+
+/**
+ * Execute view reads through Multicall3.aggregate3 in a single eth_call
+ * @param {ethers.providers.Provider} provider - Provider to call through
+ * @param {Array<Object>} reads - Read descriptors
+ * @returns {Promise<Array<{success: boolean, value?: any}>|null>} - Per-read results, or null if no multicall contract is deployed
+ */
+const aggregateReads = async (provider, reads) => {
+  const calls = reads.map(read => ({
+    target: read.target,
+    allowFailure: true,
+    callData: read.contractInterface.encodeFunctionData(read.method, read.args)
+  }));
+  
+  const rawResult = await provider.call({
+    to: MULTICALL3_ADDRESS,
+    data: multicallInterface.encodeFunctionData('aggregate3', [calls])
+  });
+  
+  // Calling an address without code succeeds with empty return data
+  if (!rawResult || rawResult === '0x') {
+    return null;
+  }
+  
+  const [results] = multicallInterface.decodeFunctionResult('aggregate3', rawResult);
+  
+  return results.map((result, index) => {
+    if (!result.success) return { success: false };
+    
+    const read = reads[index];
+    try {
+      const decoded = read.contractInterface.decodeFunctionResult(read.method, result.returnData);
+      return { success: true, value: read.decode(decoded) };
+    } catch (error) {
+      console.error(`Error decoding multicall result for ${read.method}:`, error);
+      return { success: false };
+    }
+  });
+};
+
+/**
+ * Get all player and contract view data, packed into one Multicall3 eth_call.
+ * Results are split back into the same cache entries the single getters use,
+ * and fresh cache entries are not re-read. Falls back to separate requests when
+ * no multicall contract is deployed at MULTICALL3_ADDRESS.
+ * @param {ethers.providers.Provider} provider - Ethereum provider
+ * @param {string} address - Player's address
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeConfig=true] - Also read clicksPerToken and the contract balance
+ * @returns {Promise<Object>} - { score, redeemableTokens, tokenBalance, clicksPerToken, contractHasTokens }; fields that failed to load are undefined.
+ *   Rejects with RequestAbortedError if the player's requests were cancelled.
+ */
+export const getPlayerData = async (provider, address, { includeConfig = true } = {}) => {
+  if (!address) {
+    throw new Error("Address is required");
+  }
+  
+  const data = {};
+  const missingReads = [];
+  
+  // Serve what we can from cache
+  for (const read of getPlayerDataReads(address, includeConfig)) {
+    if (apiManager.hasInCache(read.cacheKey)) {
+      data[read.field] = apiManager.getFromCache(read.cacheKey);
+    } else {
+      missingReads.push(read);
+    }
+  }
+  
+  if (missingReads.length === 0) {
+    return data;
+  }
+  
+  let fallbackReads = missingReads;
+  
+  // Other tabs forward keyed reads to the leader tab, which batches them - an unkeyed multicall would run here
+  if (multicallAvailable !== false && missingReads.length > 1 && !apiManager.isForwarding()) {
+    try {
+      const results = await apiManager.request(
+        (rpcUrl, batchProvider) => aggregateReads(getReadProvider(provider, rpcUrl, batchProvider), missingReads),
+        null, null, { priority: 'high', batchable: true, tag: address }
+      );
+      
+      if (results === null) {
+        console.warn(`No multicall contract at ${MULTICALL3_ADDRESS}, using separate requests`);
+        multicallAvailable = false;
+      } else {
+        multicallAvailable = true;
+        fallbackReads = [];
+        
+        results.forEach((result, index) => {
+          const read = missingReads[index];
+          if (result.success) {
+            apiManager.setCache(read.cacheKey, result.value, read.ttl);
+            // Lets this tab serve the key when another tab forwards a request for it
+            apiManager.registerRequest(
+              read.cacheKey,
+              (rpcUrl, batchProvider) => callRead(getReadProvider(provider, rpcUrl, batchProvider), read),
+              read.ttl,
+              { batchable: true }
+            );
+            data[read.field] = result.value;
+          } else {
+            fallbackReads.push(read);
+          }
+        });
+      }
+    } catch (error) {
+      if (apiManager.isAbortError(error)) throw error;
+      console.error("Multicall read failed, using separate requests:", error);
+    }
+  }
+  
+  // Separate requests for anything multicall couldn't cover
+  const fallbackResults = await Promise.allSettled(fallbackReads.map(read => read.fetch(provider)));
+  
+  const aborted = fallbackResults.find(result => result.status === 'rejected' && apiManager.isAbortError(result.reason));
+  if (aborted) throw aborted.reason;
+  
+  fallbackResults.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      data[fallbackReads[index].field] = result.value;
+    }
+  });
+  
+  return data;
+};
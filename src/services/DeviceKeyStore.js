@@ -0,0 +1,269 @@
+// src/services/DeviceKeyStore.js
+import { ethers } from 'ethers';
+
+const DB_NAME = 'cookie-clicker-device';
+const DB_VERSION = 1;
+const KEY_STORE = 'keys';
+const WALLET_STORE = 'wallets';
+const WRAPPING_KEY_ID = 'gas-wallet-wrapping-key';
+
+// localStorage key prefix for the "remember this device" opt-in (value: duration in ms)
+const REMEMBER_KEY = 'gas-wallet-remember:';
+
+// Durations offered in the UI
+export const REMEMBER_DURATIONS = [
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+export const DEFAULT_REMEMBER_DURATION = REMEMBER_DURATIONS[1].ms;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The IndexedDB request
+ * @returns {Promise<any>} - The request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Additional authenticated data for a stored key, so a record can't be
+ * decrypted after its owner, address or version was edited
+ * @param {Object} record - Stored record
+ * @returns {Uint8Array}
+ */
+const getAdditionalData = ({ owner, address, version }) =>
+  ethers.utils.toUtf8Bytes(`${owner}|${address}|${version}`);
+
+/**
+ * Keeps derived gas wallet keys on this device so players who opt in don't
+ * have to sign the derivation message on every page load.
+ * Keys are encrypted with AES-GCM under a non-extractable WebCrypto key that
+ * lives in IndexedDB - script can use it to decrypt but never read it out.
+ * Records expire and are deleted on the next load after their expiry.
+ */
+class DeviceKeyStore {
+  constructor() {
+    this.dbPromise = null;
+    this.wrappingKeyPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB and WebCrypto are available (WebCrypto needs a secure context)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined' &&
+      typeof crypto !== 'undefined' &&
+      Boolean(crypto.subtle);
+  }
+
+  /**
+   * Open (and create if needed) the device database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(KEY_STORE)) {
+            db.createObjectStore(KEY_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(WALLET_STORE)) {
+            db.createObjectStore(WALLET_STORE, { keyPath: 'owner' });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Get an object store for a transaction
+   * @param {string} name - Store name
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async getStore(name, mode) {
+    const db = await this.open();
+    return db.transaction(name, mode).objectStore(name);
+  }
+
+  /**
+   * Get the device's wrapping key, creating it on first use
+   * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+   */
+  getWrappingKey() {
+    if (!this.wrappingKeyPromise) {
+      this.wrappingKeyPromise = (async () => {
+        const existing = await promisify((await this.getStore(KEY_STORE, 'readonly')).get(WRAPPING_KEY_ID));
+        if (existing) return existing.key;
+
+        const key = await crypto.subtle.generateKey(
+          { name: 'AES-GCM', length: 256 },
+          false, // non-extractable
+          ['encrypt', 'decrypt']
+        );
+        await promisify((await this.getStore(KEY_STORE, 'readwrite')).put({ id: WRAPPING_KEY_ID, key }));
+        return key;
+      })();
+
+      // Let the next call retry instead of caching a failure
+      this.wrappingKeyPromise.catch(() => {
+        this.wrappingKeyPromise = null;
+      });
+    }
+
+    return this.wrappingKeyPromise;
+  }
+
+  // --- Opt-in ---
+
+  /**
+   * Get how long a main wallet's gas wallet key is remembered for
+   * @param {string} userAddress - Main wallet address
+   * @returns {number|null} - Duration in ms, or null if the player hasn't opted in
+   */
+  getRememberDuration(userAddress) {
+    const stored = localStorage.getItem(REMEMBER_KEY + ethers.utils.getAddress(userAddress));
+    return stored ? Number(stored) : null;
+  }
+
+  /**
+   * Record (or clear) the "remember this device" opt-in
+   * @param {string} userAddress - Main wallet address
+   * @param {number|null} duration - Duration in ms, or null to opt out
+   */
+  setRememberDuration(userAddress, duration) {
+    const key = REMEMBER_KEY + ethers.utils.getAddress(userAddress);
+    if (duration) {
+      localStorage.setItem(key, String(duration));
+    } else {
+      localStorage.removeItem(key);
+    }
+  }
+
+  // --- Keys ---
+
+  /**
+   * Encrypt and store a gas wallet key
+   * @param {string} userAddress - Main wallet address the key was derived for
+   * @param {string} privateKey - Gas wallet private key (hex)
+   * @param {string} address - Gas wallet address
+   * @param {number} version - Derivation version the key came from
+   * @param {number} [duration] - How long to keep it, in ms
+   * @returns {Promise<number>} - Expiry timestamp
+   */
+  async save(userAddress, privateKey, address, version, duration = DEFAULT_REMEMBER_DURATION) {
+    if (!this.isSupported()) {
+      throw new Error("This browser can't store keys securely (IndexedDB and WebCrypto are required)");
+    }
+
+    const now = Date.now();
+    const record = {
+      owner: ethers.utils.getAddress(userAddress),
+      address,
+      version,
+      createdAt: now,
+      expiresAt: now + duration
+    };
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: getAdditionalData(record) },
+      await this.getWrappingKey(),
+      ethers.utils.arrayify(privateKey)
+    );
+
+    const store = await this.getStore(WALLET_STORE, 'readwrite');
+    await promisify(store.put({ ...record, iv, ciphertext }));
+
+    return record.expiresAt;
+  }
+
+  /**
+   * Load and decrypt a remembered gas wallet key
+   * @param {string} userAddress - Main wallet address
+   * @returns {Promise<{privateKey: string, address: string, version: number, expiresAt: number}|null>}
+   *   - null if nothing valid is stored
+   */
+  async load(userAddress) {
+    const record = await this.getInfo(userAddress);
+    if (!record) return null;
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: record.iv, additionalData: getAdditionalData(record) },
+        await this.getWrappingKey(),
+        record.ciphertext
+      );
+
+      return {
+        privateKey: ethers.utils.hexlify(new Uint8Array(plaintext)),
+        address: record.address,
+        version: record.version,
+        expiresAt: record.expiresAt
+      };
+    } catch (error) {
+      // The wrapping key was replaced or the record was tampered with - it's useless either way
+      console.warn('Failed to decrypt remembered gas wallet key:', error);
+      await this.forget(userAddress);
+      return null;
+    }
+  }
+
+  /**
+   * Get the stored record for a main wallet without decrypting it
+   * @param {string} userAddress - Main wallet address
+   * @returns {Promise<Object|null>} - The record, or null if none is stored or it has expired
+   */
+  async getInfo(userAddress) {
+    if (!this.isSupported() || !userAddress) return null;
+
+    try {
+      const store = await this.getStore(WALLET_STORE, 'readonly');
+      const record = await promisify(store.get(ethers.utils.getAddress(userAddress)));
+      if (!record) return null;
+
+      if (record.expiresAt <= Date.now()) {
+        await this.forget(userAddress);
+        return null;
+      }
+
+      return record;
+    } catch (error) {
+      console.warn('Failed to read remembered gas wallet key:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete the remembered key for a main wallet
+   * @param {string} userAddress - Main wallet address
+   */
+  async forget(userAddress) {
+    if (!this.isSupported()) return;
+
+    try {
+      const store = await this.getStore(WALLET_STORE, 'readwrite');
+      await promisify(store.delete(ethers.utils.getAddress(userAddress)));
+    } catch (error) {
+      console.warn('Failed to forget remembered gas wallet key:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const deviceKeyStore = new DeviceKeyStore();
+
+export default deviceKeyStore;
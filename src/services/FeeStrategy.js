@@ -0,0 +1,194 @@
+// src/services/FeeStrategy.js
+import { ethers } from 'ethers';
+
+// localStorage key for the player's fee preset
+const PRESET_KEY = 'gas-fee-preset';
+
+// Number of recent blocks eth_feeHistory looks at
+const HISTORY_BLOCKS = 10;
+
+// Fee history and gas price are reused for this long
+const CACHE_MS = 10000;
+
+// After a node turns out not to support eth_feeHistory, price with legacy gasPrice this long before asking again
+const LEGACY_RETRY_MS = 10 * 60 * 1000;
+
+/**
+ * Fee presets. Multipliers are in percent.
+ * - rewardPercentile: priority fee percentile paid in recent blocks
+ * - baseFeeMultiplier: headroom on the next block's base fee for maxFeePerGas
+ * - legacyMultiplier: markup on eth_gasPrice when the node has no EIP-1559 support
+ */
+export const FEE_PRESETS = {
+  eco: { label: 'Eco', rewardPercentile: 10, baseFeeMultiplier: 125, legacyMultiplier: 100 },
+  normal: { label: 'Normal', rewardPercentile: 50, baseFeeMultiplier: 200, legacyMultiplier: 110 },
+  fast: { label: 'Fast', rewardPercentile: 90, baseFeeMultiplier: 300, legacyMultiplier: 125 }
+};
+
+export const DEFAULT_FEE_PRESET = 'normal';
+
+const REWARD_PERCENTILES = Object.values(FEE_PRESETS).map(preset => preset.rewardPercentile);
+
+/**
+ * Get the fee preset the player picked
+ * @returns {string} - A key of FEE_PRESETS
+ */
+export const getFeePreset = () => {
+  const stored = localStorage.getItem(PRESET_KEY);
+  return FEE_PRESETS[stored] ? stored : DEFAULT_FEE_PRESET;
+};
+
+/**
+ * Save the player's fee preset
+ * @param {string} preset - A key of FEE_PRESETS
+ */
+export const setFeePreset = (preset) => {
+  if (!FEE_PRESETS[preset]) {
+    throw new Error(`Unknown fee preset "${preset}"`);
+  }
+  localStorage.setItem(PRESET_KEY, preset);
+};
+
+/**
+ * Get the transaction fields for fees from getFees. Setting the type keeps ethers
+ * from fetching fee data again to fill in the rest.
+ * @param {Object} fees - Fees from FeeStrategy.getFees
+ * @returns {Object} - { type: 2, maxFeePerGas, maxPriorityFeePerGas } or { type: 0, gasPrice }
+ */
+export const getFeeFields = (fees) => (fees.type === 2
+  ? { type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+  : { type: 0, gasPrice: fees.gasPrice });
+
+/**
+ * Get the median of a list of amounts
+ * @param {Array<ethers.BigNumber>} values - Amounts
+ * @returns {ethers.BigNumber}
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Check if an error means the node doesn't know eth_feeHistory (as opposed to a network hiccup)
+ * @param {Error} error - The error
+ * @returns {boolean}
+ */
+const isUnsupportedError = (error) => {
+  const message = (error.body || error.message || '').toLowerCase();
+  return error.code === -32601 ||
+    message.includes('method not found') ||
+    message.includes('not supported') ||
+    message.includes('does not exist') ||
+    message.includes('no eip-1559');
+};
+
+/**
+ * Picks transaction fees for the gas wallet.
+ * Reads eth_feeHistory for EIP-1559 fees (maxFeePerGas and maxPriorityFeePerGas)
+ * and falls back to a legacy gasPrice on nodes without EIP-1559 support.
+ */
+class FeeStrategy {
+  constructor(provider) {
+    this.provider = provider;
+    this.feeHistory = null;
+    this.feeHistoryAt = 0;
+    this.gasPrice = null;
+    this.gasPriceAt = 0;
+    this.legacyUntil = 0;
+  }
+
+  /**
+   * Read and summarize recent fee history (cached for 10 seconds)
+   * @returns {Promise<{baseFee: ethers.BigNumber, rewards: Object}>} - Next block's base fee and,
+   *   per percentile, the priority fees paid in recent blocks
+   */
+  async getFeeHistory() {
+    if (this.feeHistory && Date.now() - this.feeHistoryAt <= CACHE_MS) {
+      return this.feeHistory;
+    }
+
+    const result = await this.provider.send('eth_feeHistory', [
+      ethers.utils.hexValue(HISTORY_BLOCKS),
+      'latest',
+      REWARD_PERCENTILES
+    ]);
+
+    // Some nodes answer, but without base fees or rewards
+    if (!result || !Array.isArray(result.baseFeePerGas) || result.baseFeePerGas.length === 0 ||
+        !Array.isArray(result.reward) || result.reward.length === 0) {
+      throw new Error('No EIP-1559 fee history from this node');
+    }
+
+    const rewards = {};
+    REWARD_PERCENTILES.forEach((percentile, index) => {
+      rewards[percentile] = median(result.reward.map(block => ethers.BigNumber.from(block[index] || 0)));
+    });
+
+    this.feeHistory = {
+      // The last entry is the base fee of the next block
+      baseFee: ethers.BigNumber.from(result.baseFeePerGas[result.baseFeePerGas.length - 1]),
+      rewards
+    };
+    this.feeHistoryAt = Date.now();
+
+    return this.feeHistory;
+  }
+
+  /**
+   * Get the network's legacy gas price (cached for 10 seconds)
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async getLegacyGasPrice() {
+    if (this.gasPrice && Date.now() - this.gasPriceAt <= CACHE_MS) {
+      return this.gasPrice;
+    }
+
+    try {
+      this.gasPrice = await this.provider.getGasPrice();
+      this.gasPriceAt = Date.now();
+      return this.gasPrice;
+    } catch (error) {
+      // If gas price fetch fails, use last known or default
+      return this.gasPrice || ethers.utils.parseUnits("1", "gwei");
+    }
+  }
+
+  /**
+   * Get the fees for a transaction
+   * @param {string} [preset] - A key of FEE_PRESETS (defaults to the player's choice)
+   * @returns {Promise<Object>} - { type: 2, maxFeePerGas, maxPriorityFeePerGas } or { type: 0, gasPrice },
+   *   plus preset and estimatedGasPrice (the price per gas the transaction is expected to pay)
+   */
+  async getFees(preset = getFeePreset()) {
+    if (!FEE_PRESETS[preset]) preset = DEFAULT_FEE_PRESET;
+    const config = FEE_PRESETS[preset];
+
+    if (Date.now() >= this.legacyUntil) {
+      try {
+        const { baseFee, rewards } = await this.getFeeHistory();
+        const maxPriorityFeePerGas = rewards[config.rewardPercentile];
+
+        return {
+          type: 2,
+          preset,
+          maxFeePerGas: baseFee.mul(config.baseFeeMultiplier).div(100).add(maxPriorityFeePerGas),
+          maxPriorityFeePerGas,
+          estimatedGasPrice: baseFee.add(maxPriorityFeePerGas)
+        };
+      } catch (error) {
+        if (isUnsupportedError(error)) {
+          console.warn("Node has no EIP-1559 fee history, using legacy gas pricing:", error.message);
+          this.legacyUntil = Date.now() + LEGACY_RETRY_MS;
+        } else {
+          console.warn("Fee history request failed, using legacy gas pricing for this transaction:", error.message);
+        }
+      }
+    }
+
+    const gasPrice = (await this.getLegacyGasPrice()).mul(config.legacyMultiplier).div(100);
+    return { type: 0, preset, gasPrice, estimatedGasPrice: gasPrice };
+  }
+}
+
+export default FeeStrategy;
@@ -0,0 +1,191 @@
+// src/services/GasLimitEstimator.js
+import { ethers } from 'ethers';
+
+// localStorage key prefix for learned gas usage, per contract address
+const STORAGE_KEY = 'gas-limits:';
+
+// gasUsed samples kept per action
+const MAX_SAMPLES = 50;
+
+// Percentile of recent gasUsed the limit is based on
+const LIMIT_PERCENTILE = 95;
+
+// Headroom on top of the percentile or estimate, in percent
+const SAFETY_MARGIN = 120;
+
+// No transaction runs on less
+const MIN_GAS_LIMIT = 21000;
+
+/**
+ * Get a percentile from sorted samples (nearest rank)
+ * @param {number[]} sorted - Samples in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - The percentile, or null without samples
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+};
+
+/**
+ * Add the safety margin to an amount of gas
+ * @param {number} gas - Gas used or estimated
+ * @returns {ethers.BigNumber}
+ */
+const withMargin = (gas) => ethers.BigNumber.from(Math.max(MIN_GAS_LIMIT, Math.ceil(gas * SAFETY_MARGIN / 100)));
+
+/**
+ * Learns gas limits per contract and action (click, redeem, transfer...).
+ * The first send asks the node with estimateGas. Once receipts come in, the limit
+ * is the 95th percentile of the last 50 gasUsed values, plus a 20% margin.
+ * What was learned is kept in localStorage so the next session starts from it.
+ */
+class GasLimitEstimator {
+  constructor() {
+    // Learned gas by contract address: { [action]: { estimate, samples } }
+    this.records = new Map();
+    // estimateGas calls in progress, so a burst of clicks asks only once
+    this.estimating = new Map();
+  }
+
+  /**
+   * Get what was learned for a contract
+   * @param {string} contract - Contract address
+   * @returns {Object} - { [action]: { estimate, samples } }
+   */
+  getRecord(contract) {
+    const address = ethers.utils.getAddress(contract);
+    if (!this.records.has(address)) {
+      let record = {};
+      try {
+        record = JSON.parse(localStorage.getItem(STORAGE_KEY + address)) || {};
+      } catch (error) {
+        console.warn("Failed to load learned gas limits:", error);
+      }
+      this.records.set(address, record);
+    }
+    return this.records.get(address);
+  }
+
+  /**
+   * Save what was learned for a contract
+   * @param {string} contract - Contract address
+   */
+  saveRecord(contract) {
+    const address = ethers.utils.getAddress(contract);
+    try {
+      localStorage.setItem(STORAGE_KEY + address, JSON.stringify(this.getRecord(address)));
+    } catch (error) {
+      console.warn("Failed to save learned gas limits:", error);
+    }
+  }
+
+  /**
+   * Get the gas limit learned so far, without asking the node
+   * @param {string} action - Action name, e.g. 'click'
+   * @param {string} contract - Contract address
+   * @returns {ethers.BigNumber|null} - The limit, or null if nothing was learned yet
+   */
+  getKnown(action, contract) {
+    const learned = this.getRecord(contract)[action];
+    if (!learned) return null;
+
+    if (learned.samples && learned.samples.length > 0) {
+      return withMargin(percentile([...learned.samples].sort((a, b) => a - b), LIMIT_PERCENTILE));
+    }
+    return learned.estimate ? withMargin(learned.estimate) : null;
+  }
+
+  /**
+   * Get the gas limit for a transaction: learned from receipts, else estimated by the node,
+   * else the fallback if estimation fails
+   * @param {string} action - Action name, e.g. 'click'
+   * @param {Object} tx - The transaction (to, data, value)
+   * @param {PersistentGasWallet} gasWallet - The gas wallet that sends it
+   * @param {ethers.BigNumberish} fallback - Limit to use if estimation fails
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.alwaysEstimate] - Estimate even once something was learned, and use the higher
+   *   of the two. For calls whose gas depends on their arguments - an ERC-20 transfer to an address
+   *   holding none of the token pays for an extra storage write that past receipts may not show.
+   * @returns {Promise<ethers.BigNumber>}
+   */
+  async getGasLimit(action, tx, gasWallet, fallback, { alwaysEstimate = false } = {}) {
+    const known = this.getKnown(action, tx.to);
+    if (known && !alwaysEstimate) return known;
+
+    // Calls with different arguments can need different gas, so only identical ones share an estimate
+    const key = `${ethers.utils.getAddress(tx.to)}:${action}:${tx.data || ''}`;
+    if (!this.estimating.has(key)) {
+      const estimate = gasWallet.provider.estimateGas({
+        from: gasWallet.getAddress(),
+        to: tx.to,
+        data: tx.data,
+        value: tx.value || 0
+      }).then((gas) => {
+        const record = this.getRecord(tx.to);
+        record[action] = { ...record[action], estimate: gas.toNumber() };
+        this.saveRecord(tx.to);
+        return withMargin(gas.toNumber());
+      }).finally(() => {
+        this.estimating.delete(key);
+      });
+      this.estimating.set(key, estimate);
+    }
+
+    let limit;
+    try {
+      limit = await this.estimating.get(key);
+    } catch (error) {
+      console.warn(`Gas estimate for ${action} failed, using the default limit:`, error.message);
+      limit = ethers.BigNumber.from(fallback);
+    }
+    return known && known.gt(limit) ? known : limit;
+  }
+
+  /**
+   * Learn from a mined transaction's gasUsed
+   * @param {string} action - Action name, e.g. 'click'
+   * @param {string} contract - Contract address
+   * @param {ethers.BigNumber} gasUsed - Gas used, from the receipt
+   */
+  recordGasUsed(action, contract, gasUsed) {
+    const record = this.getRecord(contract);
+    const samples = [...((record[action] && record[action].samples) || []), gasUsed.toNumber()];
+    record[action] = { ...record[action], samples: samples.slice(-MAX_SAMPLES) };
+    this.saveRecord(contract);
+  }
+
+  /**
+   * Forget what was learned for an action, so the next send estimates again
+   * @param {string} action - Action name, e.g. 'click'
+   * @param {string} contract - Contract address
+   */
+  forget(action, contract) {
+    delete this.getRecord(contract)[action];
+    this.saveRecord(contract);
+  }
+
+  /**
+   * Learn from a sent transaction once it's mined. Running out of gas means the
+   * contract now needs more than was learned, so that starts over.
+   * @param {string} action - Action name, e.g. 'click'
+   * @param {Object} tx - The transaction as sent (to and gasLimit)
+   * @param {ethers.providers.TransactionResponse} response - The sent transaction
+   */
+  watch(action, tx, response) {
+    response.wait()
+      .then(receipt => this.recordGasUsed(action, tx.to, receipt.gasUsed))
+      .catch((error) => {
+        if (error.receipt && error.receipt.gasUsed && error.receipt.gasUsed.gte(tx.gasLimit)) {
+          console.warn(`${action} ran out of gas at ${tx.gasLimit.toString()}, estimating again next time`);
+          this.forget(action, tx.to);
+        }
+      });
+  }
+}
+
+// Create singleton instance
+const gasLimitEstimator = new GasLimitEstimator();
+
+export default gasLimitEstimator;
@@ -0,0 +1,330 @@
+// src/services/MetricsRegistry.js
+
+// Optional collector URL for pushing metrics (e.g. a local Pushgateway or a small relay).
+// When unset, metrics can still be downloaded from the diagnostics drawer.
+export const METRICS_ENDPOINT = import.meta.env?.VITE_METRICS_ENDPOINT || null;
+
+// Default histogram buckets in seconds - from a fast cache-adjacent RPC call up to a slow confirmation
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Build a stable key for a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string}
+ */
+const labelKey = (labels) => JSON.stringify(
+  Object.keys(labels).sort().map(name => [name, String(labels[name])])
+);
+
+/**
+ * Render a label set in Prometheus text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} - e.g. {lane="data"} or an empty string
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(name => {
+    const value = String(labels[name])
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+    return `${name}="${value}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Format a number for Prometheus text format
+ * @param {number} value - The value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+};
+
+/**
+ * A monotonically increasing count, split by labels
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map();
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] - Label values for the series
+   * @param {number} [amount=1] - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const series = this.series.get(key) || { labels: { ...labels }, value: 0 };
+    series.value += amount;
+    this.series.set(key, series);
+  }
+
+  /**
+   * Get the series as plain objects
+   * @returns {Array<Object>}
+   */
+  toJSON() {
+    return [...this.series.values()].map(({ labels, value }) => ({ labels, value }));
+  }
+
+  /**
+   * Render the sample lines for Prometheus
+   * @returns {Array<string>}
+   */
+  toPrometheusLines() {
+    return [...this.series.values()].map(
+      ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+}
+
+/**
+ * A distribution of observed values in fixed buckets, split by labels
+ */
+class Histogram {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  /**
+   * Record one value
+   * @param {number} value - The observed value
+   * @param {Object} [labels] - Label values for the series
+   */
+  observe(value, labels = {}) {
+    if (!Number.isFinite(value)) return;
+
+    const key = labelKey(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: { ...labels }, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    // Counts are per bucket here and made cumulative on export
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Get cumulative bucket counts for a series
+   * @param {Object} series - Histogram series
+   * @returns {Array<{le: number, count: number}>} - Including the +Inf bucket
+   */
+  cumulativeBuckets(series) {
+    let running = 0;
+    const buckets = this.buckets.map((bound, index) => {
+      running += series.counts[index];
+      return { le: bound, count: running };
+    });
+    buckets.push({ le: Infinity, count: series.count });
+    return buckets;
+  }
+
+  /**
+   * Get the series as plain objects
+   * @returns {Array<Object>}
+   */
+  toJSON() {
+    return [...this.series.values()].map(series => ({
+      labels: series.labels,
+      buckets: this.cumulativeBuckets(series).map(({ le, count }) => ({ le: formatValue(le), count })),
+      sum: series.sum,
+      count: series.count
+    }));
+  }
+
+  /**
+   * Render the sample lines for Prometheus
+   * @returns {Array<string>}
+   */
+  toPrometheusLines() {
+    const lines = [];
+
+    for (const series of this.series.values()) {
+      for (const { le, count } of this.cumulativeBuckets(series)) {
+        const labels = formatLabels({ ...series.labels, le: formatValue(le) });
+        lines.push(`${this.name}_bucket${labels} ${count}`);
+      }
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * In-memory metrics registry shared by ApiManager, the gas wallet and the
+ * transaction history. Holds counters and histograms and exports them as
+ * JSON or Prometheus text, for download or a POST to METRICS_ENDPOINT.
+ * Values live for the page session only.
+ */
+class MetricsRegistry {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+    this.metrics = new Map();
+    this.startedAt = Date.now();
+  }
+
+  // --- Registration ---
+
+  /**
+   * Get or create a counter
+   * @param {string} name - Metric name (Prometheus style, counters end in _total)
+   * @param {string} help - Description
+   * @returns {Counter}
+   */
+  counter(name, help) {
+    return this.register(name, () => new Counter(name, help));
+  }
+
+  /**
+   * Get or create a histogram
+   * @param {string} name - Metric name (Prometheus style, with a unit suffix)
+   * @param {string} help - Description
+   * @param {Array<number>} [buckets] - Upper bucket bounds
+   * @returns {Histogram}
+   */
+  histogram(name, help, buckets) {
+    return this.register(name, () => new Histogram(name, help, buckets));
+  }
+
+  /**
+   * Return an existing metric or register a new one
+   * @param {string} name - Metric name
+   * @param {Function} create - Creates the metric
+   * @returns {Counter|Histogram}
+   */
+  register(name, create) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, create());
+    }
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Drop every recorded value (registered metrics stay)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.series.clear();
+    }
+    this.startedAt = Date.now();
+  }
+
+  // --- Export ---
+
+  /**
+   * Get every metric as a plain object
+   * @returns {Object} - { startedAt, exportedAt, metrics: { name: { type, help, series } } }
+   */
+  toJSON() {
+    const metrics = {};
+    for (const [name, metric] of this.metrics) {
+      metrics[name] = { type: metric.type, help: metric.help, series: metric.toJSON() };
+    }
+
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      exportedAt: new Date().toISOString(),
+      metrics
+    };
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string}
+   */
+  toPrometheus() {
+    const lines = [];
+
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      lines.push(...metric.toPrometheusLines());
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serialize the metrics in an export format
+   * @param {string} format - 'json' or 'prometheus'
+   * @returns {{body: string, contentType: string, extension: string}}
+   */
+  serialize(format) {
+    if (format === 'prometheus') {
+      return { body: this.toPrometheus(), contentType: 'text/plain; version=0.0.4', extension: 'prom' };
+    }
+    return { body: JSON.stringify(this.toJSON(), null, 2), contentType: 'application/json', extension: 'json' };
+  }
+
+  /**
+   * Save the metrics as a file
+   * @param {string} [format='json'] - 'json' or 'prometheus'
+   */
+  download(format = 'json') {
+    const { body, contentType, extension } = this.serialize(format);
+    const url = URL.createObjectURL(new Blob([body], { type: contentType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cookie-clicker-metrics-${Date.now()}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Check if a push endpoint is configured
+   * @returns {boolean}
+   */
+  canPush() {
+    return Boolean(this.endpoint);
+  }
+
+  /**
+   * POST the metrics to the configured endpoint
+   * @param {string} [format='prometheus'] - 'json' or 'prometheus'
+   * @returns {Promise<void>}
+   */
+  async push(format = 'prometheus') {
+    if (!this.endpoint) {
+      throw new Error('No metrics endpoint configured (set VITE_METRICS_ENDPOINT)');
+    }
+
+    const { body, contentType } = this.serialize(format);
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body
+    });
+
+    if (!response.ok) {
+      throw new Error(`Metrics endpoint answered ${response.status}`);
+    }
+  }
+}
+
+// Create singleton instance
+const metrics = new MetricsRegistry(METRICS_ENDPOINT);
+
+export default metrics;
@@ -0,0 +1,775 @@
+// src/services/NonceManager.js
+import { ethers } from 'ethers';
+import apiManager from './ApiManager';
+import tabCoordinator from './TabCoordinator';
+import { getReadProvider } from './ContractService';
+import metrics from './MetricsRegistry';
+import { getFeeFields } from './FeeStrategy';
+
+// --- Metrics ---
+
+const nonceResets = metrics.counter('gas_wallet_nonce_resets_total', 'Nonce resyncs after a nonce error');
+const nonceRepairs = metrics.counter(
+  'gas_wallet_nonce_repairs_total',
+  'Nonce gaps repaired by action (resubmit, noop, rewind)'
+);
+
+// --- Cross-tab nonce coordination ---
+
+// Highest nonce handed out per gas wallet. Every tab tracks grants so a new leader carries on from them.
+const grantedNonces = new Map();
+
+// Managers holding nonces for pre-signed transactions
+const holders = new Set();
+
+/**
+ * Make managers give back held nonces once another tab uses the same wallet -
+ * its transactions would otherwise wait behind nonces that may never be sent
+ * @param {string} address - Gas wallet address
+ */
+const reclaimForOtherTab = (address) => {
+  for (const manager of [...holders]) {
+    const wallet = manager.getWallet();
+    if (wallet && wallet.address === address) manager.reclaimHeld('other-tab');
+  }
+};
+
+/**
+ * Hand out the next nonce for a gas wallet (runs in the leader tab)
+ * @param {Object} payload - { address, nonce, tabId } where nonce is the requesting tab's next local nonce
+ * @returns {number} - The nonce to use
+ */
+const grantNonce = ({ address, nonce, tabId }) => {
+  const lastGranted = grantedNonces.has(address) ? grantedNonces.get(address) : -1;
+  const granted = Math.max(nonce, lastGranted + 1);
+
+  grantedNonces.set(address, granted);
+  tabCoordinator.broadcast('nonce-granted', { address, nonce: granted, tabId });
+  return granted;
+};
+
+tabCoordinator.handle('reserve-nonce', (payload) => {
+  // Hand held nonces back first, so the other tab is granted them instead of nonces past them
+  reclaimForOtherTab(payload.address);
+  return grantNonce(payload);
+});
+
+tabCoordinator.on('nonce-granted', ({ address, nonce, tabId }) => {
+  grantedNonces.set(address, Math.max(nonce, grantedNonces.has(address) ? grantedNonces.get(address) : -1));
+  // The leader's broadcast also reaches the tab the nonce was granted to
+  if (tabId !== tabCoordinator.tabId) reclaimForOtherTab(address);
+});
+
+tabCoordinator.on('nonce-reset', ({ address, nonce }) => {
+  grantedNonces.set(address, nonce - 1);
+  reclaimForOtherTab(address);
+});
+
+// How long a reservation waits for a leader to be elected
+const LEADER_WAIT_MS = 5000;
+
+// Leaders asked before a reservation gives up
+const MAX_LEADER_ATTEMPTS = 3;
+
+/**
+ * Wait until some tab (maybe this one) leads, or the wait runs out
+ * @returns {Promise<void>}
+ */
+const waitForLeader = async () => {
+  const deadline = Date.now() + LEADER_WAIT_MS;
+  while (tabCoordinator.channel && !tabCoordinator.leaderId && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+/**
+ * Reserve a nonce that no other tab will use for the same gas wallet
+ * @param {string} address - Gas wallet address
+ * @param {number} localNonce - This tab's next nonce
+ * @returns {Promise<number>} - The reserved nonce
+ */
+const reserveSharedNonce = async (address, localNonce) => {
+  const payload = { address, nonce: localNonce, tabId: tabCoordinator.tabId };
+
+  // Mid-election no tab may grant - wait for the winner
+  await waitForLeader();
+
+  for (let attempt = 1; ; attempt++) {
+    if (tabCoordinator.isLeader()) {
+      return grantNonce(payload);
+    }
+
+    try {
+      return await tabCoordinator.request('reserve-nonce', payload, 2000);
+    } catch (error) {
+      // Only a leader that is gone, or no longer leads, is known not to have granted anything.
+      // A timeout may just be a late reply - granting here could hand the same nonce out twice.
+      const leaderGone = error.code === 'LEADER_CHANGED' || (error.code === 'NO_LEADER' && !error.remote);
+      if (!leaderGone || attempt >= MAX_LEADER_ATTEMPTS) {
+        console.warn("Nonce reservation via leader tab failed:", error.message);
+        throw new Error("Another tab is sending from this gas wallet and didn't answer in time. Please try again.");
+      }
+      await waitForLeader();
+    }
+  }
+};
+
+/**
+ * Make every tab hand out nonces from this one again
+ * @param {string} address - Gas wallet address
+ * @param {number} nonce - Next nonce to grant
+ */
+const resetSharedNonce = (address, nonce) => {
+  grantedNonces.set(address, nonce - 1);
+  tabCoordinator.broadcast('nonce-reset', { address, nonce });
+};
+
+// --- Timing and replacement fees ---
+
+// A transaction still unmined this long after it was sent (or last replaced) counts as stuck
+export const STUCK_TRANSACTION_MS = 30000;
+
+// How often the ledger is checked against the chain
+const RECONCILE_MS = 2000;
+
+// A gap must outlast this before it's repaired - sends in progress (here or in another tab) briefly look like gaps
+const GAP_GRACE_MS = 15000;
+
+// Nodes only accept a replacement that raises the fees by 10% or more - bump by 12.5% to be safe
+const REPLACEMENT_BUMP_PERMILLE = 1125;
+
+// Reconciles that may find a mined nonce without a receipt for any of our hashes before it counts as replaced elsewhere
+const MAX_MISSED_RECEIPT_POLLS = 3;
+
+// Repairs kept for diagnostics
+const MAX_REPAIRS = 20;
+
+/**
+ * Raise a fee by the replacement bump
+ * @param {ethers.BigNumberish} value - Fee sent before
+ * @returns {ethers.BigNumber}
+ */
+const bumpFee = (value) => ethers.BigNumber.from(value).mul(REPLACEMENT_BUMP_PERMILLE).div(1000).add(1);
+
+/**
+ * Get the larger of two amounts
+ * @param {ethers.BigNumber} a - First amount
+ * @param {ethers.BigNumber} b - Second amount
+ * @returns {ethers.BigNumber}
+ */
+const maxFee = (a, b) => (a.gt(b) ? a : b);
+
+/**
+ * Build an error for a tracked transaction's wait(), with the code and fields ethers uses
+ * @param {string} message - Error message
+ * @param {string} code - ethers error code (CALL_EXCEPTION or TRANSACTION_REPLACED)
+ * @param {Object} details - Extra fields (receipt, hashes, cancelled...)
+ * @returns {Error}
+ */
+const waitError = (message, code, details) => Object.assign(new Error(message), { code, ...details });
+
+/**
+ * Keeps a ledger of the gas wallet's unmined nonces and checks it against the chain.
+ *
+ * Ledger statuses:
+ * - held: set aside for a transaction signed ahead of time. Any other send takes held nonces back first.
+ * - reserved: nonce handed out, the transaction is being signed and sent
+ * - failed: the send failed, so nothing uses the nonce yet (a gap if anything is sent after it)
+ * - pending: sent and not mined yet, possibly replaced since
+ *
+ * Every few seconds the ledger is compared with the wallet's 'latest' and 'pending'
+ * transaction counts. Mined nonces settle their wait(). The first nonce the node
+ * doesn't hold is a gap: a dropped transaction is resubmitted, an unused nonce with
+ * transactions behind it gets a no-op self-transfer, and unused nonces at the end are handed out again.
+ */
+class NonceManager {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.getWallet - Returns the gas wallet's ethers.Wallet (connected to a provider)
+   * @param {Function} options.getFees - Returns fees for a preset, see FeeStrategy.getFees
+   */
+  constructor({ getWallet, getFees }) {
+    this.getWallet = getWallet;
+    this.getFees = getFees;
+    this.nextNonce = null;
+    // Unmined nonces this tab reserved, by nonce
+    this.ledger = new Map();
+    this.timer = null;
+    this.isReconciling = false;
+    // Counts from the last reconcile
+    this.chain = { latest: null, pending: null, checkedAt: null };
+    // First nonce the node doesn't hold, and since when: { nonce, since }
+    this.gap = null;
+    // Recent repairs, newest first: { at, nonce, action, hash, error }
+    this.repairs = [];
+  }
+
+  /**
+   * Number of transactions reserved or sent and not mined yet
+   * @returns {number}
+   */
+  get pendingCount() {
+    return [...this.ledger.values()].filter(entry => entry.status === 'reserved' || entry.status === 'pending').length;
+  }
+
+  /**
+   * Number of nonces held for transactions signed ahead of time
+   * @returns {number}
+   */
+  get heldCount() {
+    return [...this.ledger.values()].filter(entry => entry.status === 'held').length;
+  }
+
+  /**
+   * Sync the next nonce with the chain's pending count
+   * @param {boolean} [resetShared=false] - Also reset the nonce shared with other tabs (after a nonce error)
+   * @returns {Promise<number>} - The next nonce
+   */
+  async sync(resetShared = false) {
+    const wallet = this.getWallet();
+    if (!wallet) throw new Error("Wallet not initialized");
+
+    // After a nonce error, transactions signed ahead of time may conflict too
+    if (resetShared) this.reclaimHeld('reset');
+
+    const pending = await wallet.provider.getTransactionCount(wallet.address, 'pending');
+
+    // Failed sends at or past the chain's count get used again
+    for (const entry of [...this.ledger.values()]) {
+      if (entry.status === 'failed' && entry.nonce >= pending) this.ledger.delete(entry.nonce);
+    }
+
+    // Transactions still in the ledger keep their nonces, even if this node doesn't count them
+    const tracked = [...this.ledger.keys()];
+    this.nextNonce = Math.max(pending, tracked.length > 0 ? Math.max(...tracked) + 1 : 0);
+
+    if (resetShared) {
+      nonceResets.inc();
+      // Nonces granted past this point were never sent, so every tab starts again from here
+      resetSharedNonce(wallet.address, this.nextNonce);
+    }
+
+    return this.nextNonce;
+  }
+
+  /**
+   * Reserve the next nonce, across tabs
+   * @param {Function} [onReclaim] - Hold the nonce for a transaction signed ahead of time.
+   *   Called with (nonces, reason) if held nonces are taken back before being claimed.
+   * @returns {Promise<number>} - The nonce
+   */
+  async reserve(onReclaim = null) {
+    const wallet = this.getWallet();
+    if (!wallet) throw new Error("Wallet not initialized");
+
+    // Held nonces come first, so this transaction would wait behind them - take them back
+    if (!onReclaim) this.reclaimHeld('send');
+
+    if (this.nextNonce === null) {
+      await this.sync();
+    }
+
+    const nonce = await reserveSharedNonce(wallet.address, this.nextNonce);
+    this.nextNonce = nonce + 1;
+    this.ledger.set(nonce, {
+      nonce,
+      status: onReclaim ? 'held' : 'reserved',
+      onReclaim,
+      request: null,
+      // Every hash sent for this nonce, oldest first. kind: 'original', 'speedup', 'cancel', 'resubmit' or 'noop'
+      sent: [],
+      reservedAt: Date.now(),
+      sentAt: null,
+      missedPolls: 0,
+      error: null
+    });
+    if (onReclaim) {
+      holders.add(this);
+    } else {
+      this.startReconciling();
+    }
+
+    return nonce;
+  }
+
+  /**
+   * Claim a held nonce to send its transaction now
+   * @param {number} nonce - The nonce
+   * @returns {boolean} - False if it was taken back in the meantime
+   */
+  claim(nonce) {
+    const entry = this.ledger.get(nonce);
+    if (!entry || entry.status !== 'held') return false;
+
+    entry.status = 'reserved';
+    entry.reservedAt = Date.now();
+    if (this.heldCount === 0) holders.delete(this);
+    this.startReconciling();
+    return true;
+  }
+
+  /**
+   * Take back every held nonce. Unused nonces at the end are handed out again
+   * right away; once another tab was granted nonces past them, they become gaps to fill.
+   * @param {string} reason - Why, passed on to the holders: 'send', 'reset', 'other-tab', or the holder's own
+   * @param {number} [used] - Transaction count the chain was just seen at, if newer than the last reconcile
+   * @returns {number[]} - The nonces taken back
+   */
+  reclaimHeld(reason, used = 0) {
+    const held = [...this.ledger.values()]
+      .filter(entry => entry.status === 'held')
+      .sort((a, b) => a.nonce - b.nonce);
+    holders.delete(this);
+    if (held.length === 0) return [];
+
+    for (const entry of held) {
+      entry.status = 'failed';
+      entry.error = `Taken back (${reason})`;
+    }
+
+    const first = held[0].nonce;
+    if (this.isUnusedTail(first)) {
+      // Skip any the chain shows were used by something else
+      const next = Math.max(first, used, this.chain.latest || 0, this.chain.pending || 0);
+      for (const entry of held) this.ledger.delete(entry.nonce);
+      this.nextNonce = next;
+      resetSharedNonce(this.getWallet().address, next);
+    } else {
+      // Gaps now - filled once they outlast the grace period
+      this.startReconciling();
+    }
+
+    // Let each holder drop the transactions it signed for them
+    const callbacks = new Set(held.map(entry => entry.onReclaim));
+    const nonces = held.map(entry => entry.nonce);
+    callbacks.forEach(callback => callback(nonces, reason));
+
+    return nonces;
+  }
+
+  /**
+   * Record that sending with a reserved (or held) nonce failed
+   * @param {number} nonce - The nonce
+   * @param {Error} error - Why the send failed
+   */
+  release(nonce, error) {
+    const entry = this.ledger.get(nonce);
+    if (!entry || (entry.status !== 'reserved' && entry.status !== 'held')) return;
+
+    entry.status = 'failed';
+    entry.error = error.message || String(error);
+    if (this.heldCount === 0) holders.delete(this);
+  }
+
+  /**
+   * Track a sent transaction by nonce and make its wait() follow replacements:
+   * it resolves with the receipt of whichever hash gets mined for the nonce
+   * (like ethers, it rejects on a revert, and on a mined cancellation)
+   * @param {ethers.providers.TransactionResponse} response - The transaction response
+   * @param {Object} request - The transaction as sent (to, data, value, gasLimit, nonce and fee fields)
+   * @param {string} [kind='original'] - 'original', or 'noop' for a gap filler
+   * @returns {Object} - The ledger entry
+   */
+  track(response, request, kind = 'original') {
+    const entry = this.ledger.get(response.nonce) || {
+      nonce: response.nonce,
+      reservedAt: Date.now(),
+      missedPolls: 0,
+      error: null
+    };
+    Object.assign(entry, {
+      status: 'pending',
+      request,
+      sent: [{ hash: response.hash, kind }],
+      sentAt: Date.now()
+    });
+    entry.mined = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Nobody may be waiting - don't let a rejection go unhandled
+    entry.mined.catch(() => {});
+
+    this.ledger.set(entry.nonce, entry);
+
+    const provider = this.getWallet().provider;
+    response.wait = async (confirmations = 1) => {
+      const receipt = await entry.mined;
+      if (confirmations > 1) {
+        return provider.waitForTransaction(receipt.transactionHash, confirmations);
+      }
+      return receipt;
+    };
+
+    this.startReconciling();
+    return entry;
+  }
+
+  /**
+   * Start the reconcile loop if it isn't running
+   */
+  startReconciling() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.reconcile(), RECONCILE_MS);
+    }
+  }
+
+  /**
+   * Compare the ledger with the chain: settle mined nonces, then look for a gap.
+   * Two count lookups cover every pending transaction, so receipts are only fetched once mined.
+   */
+  async reconcile() {
+    const wallet = this.getWallet();
+    // Held nonces alone don't need watching - their holder checks them at its own pace
+    const inFlight = [...this.ledger.values()].some(entry => entry.status !== 'held');
+    if (!inFlight || !wallet) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.gap = null;
+      return;
+    }
+    if (this.isReconciling) return;
+
+    this.isReconciling = true;
+    try {
+      // Started together so both counts share one JSON-RPC batch
+      const [latest, pending] = await this.read(provider => Promise.all([
+        provider.getTransactionCount(wallet.address, 'latest'),
+        provider.getTransactionCount(wallet.address, 'pending')
+      ]));
+      this.chain = { latest, pending, checkedAt: Date.now() };
+
+      // Something else was sent with a held nonce - the transactions signed for it can't go out
+      const used = Math.max(latest, pending);
+      if ([...this.ledger.values()].some(entry => entry.status === 'held' && entry.nonce < used)) {
+        this.reclaimHeld('conflict', used);
+      }
+
+      const mined = [...this.ledger.values()]
+        .filter(entry => entry.nonce < latest)
+        .sort((a, b) => a.nonce - b.nonce);
+      const receipts = await this.getReceipts(mined.filter(entry => entry.status === 'pending'));
+      for (const entry of mined) {
+        if (entry.status === 'pending') {
+          this.settle(entry, receipts);
+        } else {
+          // Used by a transaction this tab didn't send
+          this.ledger.delete(entry.nonce);
+        }
+      }
+
+      await this.checkGap(Math.max(latest, pending));
+    } catch (error) {
+      console.warn("Failed to reconcile gas wallet nonces:", error.message);
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * Run a chain read through ApiManager at low priority, so the ledger stays within
+   * the rate budget and on a healthy endpoint
+   * @param {Function} fn - Called with a read provider; calls it starts together share one batch
+   * @returns {Promise<any>} - The read result
+   */
+  read(fn) {
+    return apiManager.request(
+      (rpcUrl, batchProvider) => fn(getReadProvider(null, rpcUrl, batchProvider)),
+      null, null, { priority: 'low', batchable: true, tag: this.getWallet().address }
+    );
+  }
+
+  /**
+   * Fetch the receipts for every hash sent with the given nonces, in one batch
+   * @param {Array<Object>} entries - Ledger entries whose nonces were mined
+   * @returns {Promise<Map<string, Object|null>>} - Receipt (or null) by hash
+   */
+  async getReceipts(entries) {
+    const hashes = entries.flatMap(entry => entry.sent.map(({ hash }) => hash));
+    if (hashes.length === 0) return new Map();
+
+    const receipts = await this.read(provider => Promise.all(
+      hashes.map(hash => provider.getTransactionReceipt(hash))
+    ));
+    return new Map(hashes.map((hash, index) => [hash, receipts[index]]));
+  }
+
+  /**
+   * Find which of a mined nonce's hashes made it and settle its wait()
+   * @param {Object} entry - Ledger entry
+   * @param {Map<string, Object|null>} receipts - Receipts fetched for this reconcile
+   */
+  settle(entry, receipts) {
+    // Newest first - a replacement is the likelier one to be mined
+    for (const { hash, kind } of [...entry.sent].reverse()) {
+      const receipt = receipts.get(hash);
+      if (!receipt) continue;
+
+      this.ledger.delete(entry.nonce);
+
+      if (receipt.status === 0) {
+        entry.reject(waitError("transaction failed", ethers.errors.CALL_EXCEPTION, {
+          transactionHash: hash,
+          receipt
+        }));
+      } else if (kind === 'cancel') {
+        entry.reject(waitError(`Cancelled by ${hash.slice(0, 10)}...`, ethers.errors.TRANSACTION_REPLACED, {
+          cancelled: true,
+          reason: 'cancelled',
+          hash: entry.sent[0].hash,
+          replacementHash: hash,
+          receipt
+        }));
+      } else {
+        entry.resolve(receipt);
+      }
+      return;
+    }
+
+    // The nonce was used by a transaction this tab didn't send (another tab, or a wallet import elsewhere)
+    entry.missedPolls++;
+    if (entry.missedPolls >= MAX_MISSED_RECEIPT_POLLS) {
+      this.ledger.delete(entry.nonce);
+      entry.reject(waitError(`Nonce ${entry.nonce} was used by another transaction`, ethers.errors.TRANSACTION_REPLACED, {
+        cancelled: true,
+        reason: 'replaced',
+        hash: entry.sent[0].hash,
+        receipt: null
+      }));
+    }
+  }
+
+  /**
+   * Look for the first nonce the node doesn't hold while this tab has sent or failed
+   * nonces at or past it, and repair it once it has lasted past the grace period
+   * @param {number} pending - The node's pending transaction count
+   */
+  async checkGap(pending) {
+    const entry = this.ledger.get(pending);
+
+    // Nothing handed out past the node's count, or only sends still in progress
+    const affected = [...this.ledger.values()].some(item => item.nonce >= pending && (item.status === 'pending' || item.status === 'failed'));
+    if (pending >= this.nextNonce || !affected) {
+      this.gap = null;
+      return;
+    }
+
+    // Nodes that don't count queued transactions report pending = latest - ask about the hash itself
+    if (entry && entry.status === 'pending') {
+      const hash = entry.sent[entry.sent.length - 1].hash;
+      const known = await this.read(provider => provider.getTransaction(hash));
+      if (known) {
+        this.gap = null;
+        return;
+      }
+    }
+
+    if (!this.gap || this.gap.nonce !== pending) {
+      this.gap = { nonce: pending, since: Date.now() };
+      return;
+    }
+    if (Date.now() - this.gap.since < GAP_GRACE_MS) return;
+
+    await this.repair(pending);
+    // Give the repair time to reach the node before judging it
+    this.gap = { nonce: pending, since: Date.now() };
+  }
+
+  /**
+   * Repair a gap: resubmit a dropped transaction, fill an unused nonce that blocks
+   * later ones with a no-op self-transfer, or hand unused nonces at the end out again
+   * @param {number} nonce - The missing nonce
+   */
+  async repair(nonce) {
+    const wallet = this.getWallet();
+    const entry = this.ledger.get(nonce);
+    let action;
+    let hash = null;
+
+    try {
+      if (entry && entry.status === 'pending') {
+        action = 'resubmit';
+        ({ hash } = await this.replace(nonce, 'resubmit'));
+      } else if (this.isUnusedTail(nonce)) {
+        action = 'rewind';
+        for (const item of [...this.ledger.values()]) {
+          if (item.nonce >= nonce) this.ledger.delete(item.nonce);
+        }
+        this.nextNonce = nonce;
+        resetSharedNonce(wallet.address, nonce);
+      } else {
+        action = 'noop';
+        const fees = await this.getFees('fast');
+        const request = {
+          to: wallet.address,
+          value: 0,
+          data: '0x',
+          gasLimit: 21000,
+          nonce,
+          ...getFeeFields(fees)
+        };
+        const response = await apiManager.sendTransaction(() => wallet.sendTransaction(request));
+        this.track(response, request, 'noop');
+        hash = response.hash;
+      }
+
+      nonceRepairs.inc({ action });
+      console.warn(`Repaired nonce gap at ${nonce} (${action})`);
+      this.recordRepair({ nonce, action, hash, error: null });
+    } catch (error) {
+      console.warn(`Failed to repair nonce gap at ${nonce}:`, error.message);
+      this.recordRepair({ nonce, action, hash: null, error: error.message });
+    }
+  }
+
+  /**
+   * Check if a nonce and everything after it that was handed out belong to failed sends from this tab
+   * (so nothing is waiting behind them, and no other tab holds one)
+   * @param {number} nonce - First unused nonce
+   * @returns {boolean}
+   */
+  isUnusedTail(nonce) {
+    // Another tab already holds nonces past ours - handing ours out again would collide with them
+    const address = this.getWallet().address;
+    if (grantedNonces.has(address) && grantedNonces.get(address) >= this.nextNonce) return false;
+
+    for (let n = nonce; n < this.nextNonce; n++) {
+      const entry = this.ledger.get(n);
+      if (!entry || entry.status !== 'failed') return false;
+    }
+    return true;
+  }
+
+  /**
+   * Add a repair to the diagnostics list
+   * @param {Object} repair - { nonce, action, hash, error }
+   */
+  recordRepair(repair) {
+    this.repairs = [{ at: Date.now(), ...repair }, ...this.repairs].slice(0, MAX_REPAIRS);
+  }
+
+  /**
+   * Get the lowest-nonce transaction if it has been pending past the threshold.
+   * Every later nonce waits behind it, so it's the one to replace.
+   * @param {number} [thresholdMs=STUCK_TRANSACTION_MS] - How long counts as stuck
+   * @returns {{nonce: number, hash: string, originalHash: string, kind: string, stuckFor: number, waitingBehind: number}|null}
+   */
+  getStuck(thresholdMs = STUCK_TRANSACTION_MS) {
+    const pending = [...this.ledger.values()].filter(entry => entry.status === 'pending');
+    if (pending.length === 0) return null;
+
+    const entry = pending.reduce((lowest, item) => (item.nonce < lowest.nonce ? item : lowest));
+    const stuckFor = Date.now() - entry.sentAt;
+    if (stuckFor < thresholdMs) return null;
+
+    const latest = entry.sent[entry.sent.length - 1];
+    return {
+      nonce: entry.nonce,
+      hash: latest.hash,
+      originalHash: entry.sent[0].hash,
+      kind: latest.kind,
+      stuckFor,
+      waitingBehind: pending.length - 1
+    };
+  }
+
+  /**
+   * Work out fees for a replacement: at least the node's minimum bump over the previous
+   * fees, and no less than what the fast preset would pay now
+   * @param {Object} previous - The transaction being replaced (type and fee fields)
+   * @returns {Promise<Object>} - Fee fields, including type
+   */
+  async getReplacementFees(previous) {
+    const current = await this.getFees('fast');
+
+    if (previous.type === 2) {
+      const maxPriorityFeePerGas = maxFee(
+        bumpFee(previous.maxPriorityFeePerGas),
+        current.type === 2 ? current.maxPriorityFeePerGas : ethers.BigNumber.from(0)
+      );
+      const maxFeePerGas = maxFee(
+        maxFee(bumpFee(previous.maxFeePerGas), current.type === 2 ? current.maxFeePerGas : current.gasPrice),
+        maxPriorityFeePerGas
+      );
+      return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    return { type: 0, gasPrice: maxFee(bumpFee(previous.gasPrice), current.estimatedGasPrice) };
+  }
+
+  /**
+   * Replace a pending transaction with higher fees
+   * @param {number} nonce - Nonce of the transaction
+   * @param {string} [mode='speedup'] - 'speedup' resends the same call, 'cancel' sends a zero-value self-transfer,
+   *   'resubmit' resends the same call after the node dropped it
+   * @returns {Promise<{nonce: number, mode: string, replacedHash: string, originalHash: string, hash: string}>}
+   */
+  async replace(nonce, mode = 'speedup') {
+    const wallet = this.getWallet();
+    if (!wallet) throw new Error("Wallet not initialized");
+    if (!['speedup', 'cancel', 'resubmit'].includes(mode)) throw new Error(`Unknown replacement mode "${mode}"`);
+
+    const entry = this.ledger.get(nonce);
+    if (!entry || entry.status !== 'pending') throw new Error(`No pending transaction with nonce ${nonce}`);
+
+    const previous = entry.sent[entry.sent.length - 1];
+    // Speeding up a cancellation speeds up the cancellation, and a no-op stays a no-op
+    const kind = previous.kind === 'cancel' || previous.kind === 'noop' ? previous.kind : mode;
+
+    const call = kind === 'cancel' || kind === 'noop'
+      ? { to: wallet.address, value: 0, data: '0x', gasLimit: 21000 }
+      : { to: entry.request.to, value: entry.request.value || 0, data: entry.request.data || '0x', gasLimit: entry.request.gasLimit };
+    const request = { ...call, nonce, ...(await this.getReplacementFees(entry.request)) };
+
+    let response;
+    try {
+      response = await apiManager.sendTransaction(() => wallet.sendTransaction(request));
+    } catch (error) {
+      const message = error.message || '';
+      if (message.includes('nonce too low') || message.includes('nonce has already been used')) {
+        throw new Error("The transaction was confirmed before it could be replaced");
+      }
+      if (message.includes('underpriced')) {
+        throw new Error("The node rejected the replacement as underpriced. Try again in a moment.");
+      }
+      throw new Error("Failed to replace transaction: " + (message || "Unknown error"));
+    }
+
+    entry.sent.push({ hash: response.hash, kind });
+    entry.request = request;
+    entry.sentAt = Date.now();
+
+    return { nonce, mode: kind, replacedHash: previous.hash, originalHash: entry.sent[0].hash, hash: response.hash };
+  }
+
+  /**
+   * Get a snapshot of the ledger and the last reconcile, for diagnostics
+   * @returns {Object} - { nextNonce, latest, pending, checkedAt, gap, entries, repairs }
+   */
+  getState() {
+    const now = Date.now();
+
+    return {
+      nextNonce: this.nextNonce,
+      ...this.chain,
+      gap: this.gap ? { nonce: this.gap.nonce, age: now - this.gap.since } : null,
+      entries: [...this.ledger.values()]
+        .sort((a, b) => a.nonce - b.nonce)
+        .map(entry => {
+          const latest = entry.sent[entry.sent.length - 1];
+          return {
+            nonce: entry.nonce,
+            status: entry.status,
+            kind: latest ? latest.kind : null,
+            hash: latest ? latest.hash : null,
+            replacements: Math.max(0, entry.sent.length - 1),
+            age: now - (entry.sentAt || entry.reservedAt),
+            error: entry.error
+          };
+        }),
+      repairs: [...this.repairs]
+    };
+  }
+}
+
+export default NonceManager;
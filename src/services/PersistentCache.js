@@ -0,0 +1,160 @@
+// src/services/PersistentCache.js
+const DB_NAME = 'cookie-clicker-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The IndexedDB request
+ * @returns {Promise<any>} - The request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB-backed cache layer that survives page reloads.
+ * Entries are namespaced (chain ID + contract address) so values from
+ * different networks or deployments never mix. Persistence is best-effort:
+ * every method resolves even if IndexedDB is unavailable or fails.
+ */
+class PersistentCache {
+  /**
+   * @param {string} namespace - Namespace for all entries (e.g. "10143:0xabc...")
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is available in this environment
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create if needed) the cache database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('namespace', 'namespace');
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Get the object store for a transaction
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * Build the stored record ID for a cache key
+   * @param {string} key - Cache key
+   * @returns {string}
+   */
+  getId(key) {
+    return `${this.namespace}|${key}`;
+  }
+
+  /**
+   * Load every entry in this namespace
+   * @returns {Promise<Array<{key: string, value: any, expiry: number, updatedAt: number}>>}
+   */
+  async loadAll() {
+    if (!this.isSupported()) return [];
+
+    try {
+      const store = await this.getStore('readonly');
+      return await promisify(store.index('namespace').getAll(this.namespace));
+    } catch (error) {
+      console.warn('Failed to load persistent cache:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {any} value - Value (must be structured-cloneable)
+   * @param {number} expiry - Timestamp after which the value is stale
+   */
+  async set(key, value, expiry) {
+    if (!this.isSupported()) return;
+
+    try {
+      const store = await this.getStore('readwrite');
+      await promisify(store.put({
+        id: this.getId(key),
+        namespace: this.namespace,
+        key,
+        value,
+        expiry,
+        updatedAt: Date.now()
+      }));
+    } catch (error) {
+      console.warn(`Failed to persist cache entry ${key}:`, error);
+    }
+  }
+
+  /**
+   * Delete entries in this namespace. The matching and deleting happen in one readwrite
+   * transaction, started before any later set() - IndexedDB runs overlapping transactions
+   * in the order they were created, so a fresh entry written right after a clear survives.
+   * @param {string|RegExp} [pattern] - Key pattern to match (all entries if omitted)
+   */
+  async clear(pattern = null) {
+    if (!this.isSupported()) return;
+
+    const matches = (key) => {
+      if (!pattern) return true;
+      if (pattern instanceof RegExp) return pattern.test(key);
+      return typeof pattern === 'string' && key.includes(pattern);
+    };
+
+    try {
+      const store = await this.getStore('readwrite');
+      const request = store.index('namespace').openCursor(IDBKeyRange.only(this.namespace));
+
+      await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          if (matches(cursor.value.key)) cursor.delete();
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.warn('Failed to clear persistent cache:', error);
+    }
+  }
+}
+
+export default PersistentCache;
@@ -0,0 +1,346 @@
+// src/services/RpcPool.js
+/**
+ * Pool of RPC endpoints with health scoring:
+ * - Latency, error rate and rate-limit pressure tracked per endpoint
+ * - Requests go to the endpoint with the best (lowest) score
+ * - Failing or rate-limited endpoints are benched and re-probed later
+ */
+class RpcPool {
+  constructor(urls = []) {
+    // Weight of the newest sample in the moving averages
+    this.smoothing = 0.3;
+
+    // Bench an endpoint after this many failures in a row
+    this.maxConsecutiveFailures = 3;
+
+    // Benched endpoints wait this long before being re-probed (doubles on each failed probe)
+    this.baseCooldown = 10 * 1000;  // 10 seconds
+    this.maxCooldown = 5 * 60 * 1000; // 5 minutes
+
+    // Recent requests count against an endpoint so load spreads across the pool
+    this.loadWindow = 10 * 1000;    // 10 seconds
+
+    // Probe loop
+    this.probeInterval = 5000;
+    this.probeTimeout = 5000;
+    this.probeTimer = null;
+
+    this.endpoints = [];
+    this.setEndpoints(urls);
+  }
+
+  // --- Endpoint management ---
+
+  /**
+   * Replace the endpoint list, keeping scores for URLs that stay in the pool
+   * @param {string[]} urls - RPC URLs
+   */
+  setEndpoints(urls) {
+    const uniqueUrls = [...new Set(urls.filter(Boolean))];
+
+    this.endpoints = uniqueUrls.map(url =>
+      this.endpoints.find(endpoint => endpoint.url === url) || this.createEndpoint(url)
+    );
+  }
+
+  /**
+   * Create the scoring state for an endpoint
+   * @param {string} url - RPC URL
+   * @returns {Object} - Endpoint state
+   */
+  createEndpoint(url) {
+    return {
+      url,
+      healthy: true,
+      latency: null,           // Moving average in ms (null until first sample)
+      errorRate: 0,            // Moving average between 0 and 1
+      rateLimitScore: 0,       // Grows on 429s, decays over time
+      lastRateLimitTime: 0,
+      consecutiveFailures: 0,
+      benchedUntil: 0,
+      retryAfterUntil: 0,      // Set from a Retry-After hint on a 429
+      cooldown: this.baseCooldown,
+      probing: false,
+      inFlight: 0,
+      recentRequests: [],
+      requests: 0,
+      failures: 0,
+      rateLimits: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Number of endpoints in the pool
+   * @returns {number}
+   */
+  size() {
+    return this.endpoints.length;
+  }
+
+  // --- Scoring ---
+
+  /**
+   * Current rate-limit pressure, halving every 30 seconds
+   * @param {Object} endpoint - Endpoint state
+   * @returns {number}
+   */
+  getRateLimitPressure(endpoint) {
+    if (!endpoint.rateLimitScore) return 0;
+    const elapsed = Date.now() - endpoint.lastRateLimitTime;
+    return endpoint.rateLimitScore * Math.pow(0.5, elapsed / 30000);
+  }
+
+  /**
+   * Score an endpoint - lower is healthier
+   * @param {Object} endpoint - Endpoint state
+   * @returns {number}
+   */
+  getScore(endpoint) {
+    const now = Date.now();
+    endpoint.recentRequests = endpoint.recentRequests.filter(time => now - time < this.loadWindow);
+
+    // Unknown endpoints get a neutral latency so they still receive traffic
+    const latency = endpoint.latency !== null ? endpoint.latency : 300;
+
+    return latency * (1 + endpoint.errorRate * 4) +
+      this.getRateLimitPressure(endpoint) * 1000 +
+      endpoint.inFlight * 200 +
+      endpoint.recentRequests.length * 50;
+  }
+
+  /**
+   * Check if an endpoint can currently receive requests
+   * @param {Object} endpoint - Endpoint state
+   * @returns {boolean}
+   */
+  isAvailable(endpoint) {
+    return endpoint.healthy && endpoint.benchedUntil <= Date.now();
+  }
+
+  /**
+   * Find the healthiest endpoint without reserving it
+   * @param {string[]} excludeUrls - URLs to skip
+   * @returns {Object|null} - Endpoint state or null if none qualify
+   */
+  getBestEndpoint(excludeUrls = []) {
+    const candidates = this.endpoints.filter(endpoint => !excludeUrls.includes(endpoint.url));
+    const available = candidates.filter(endpoint => this.isAvailable(endpoint));
+
+    // When everything is benched, fall back to the least-bad endpoint rather than nothing -
+    // but not to one that asked us to wait. Retries (excludeUrls set) only go to healthy alternatives.
+    const unpaused = candidates.filter(endpoint => endpoint.retryAfterUntil <= Date.now());
+    const pool = available.length > 0 ? available : (excludeUrls.length === 0 ? unpaused : []);
+    if (pool.length === 0) return null;
+
+    return pool.reduce((best, endpoint) =>
+      this.getScore(endpoint) < this.getScore(best) ? endpoint : best
+    );
+  }
+
+  /**
+   * Reserve the healthiest endpoint for a request
+   * @param {string[]} excludeUrls - URLs to skip (e.g. one that just failed)
+   * @returns {string|null} - The RPC URL to use
+   */
+  acquire(excludeUrls = []) {
+    const endpoint = this.getBestEndpoint(excludeUrls);
+    if (!endpoint) return null;
+
+    endpoint.inFlight++;
+    endpoint.requests++;
+    endpoint.recentRequests.push(Date.now());
+    return endpoint.url;
+  }
+
+  // --- Outcome tracking ---
+
+  /**
+   * Look up endpoint state by URL
+   * @param {string} url - RPC URL
+   * @returns {Object|undefined}
+   */
+  getEndpoint(url) {
+    return this.endpoints.find(endpoint => endpoint.url === url);
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} url - RPC URL
+   * @param {number} latency - Request duration in ms
+   */
+  recordSuccess(url, latency) {
+    const endpoint = this.getEndpoint(url);
+    if (!endpoint) return;
+
+    endpoint.inFlight = Math.max(0, endpoint.inFlight - 1);
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : endpoint.latency * (1 - this.smoothing) + latency * this.smoothing;
+    endpoint.errorRate *= (1 - this.smoothing);
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldown = this.baseCooldown;
+  }
+
+  /**
+   * Record a failed request and bench the endpoint if needed
+   * @param {string} url - RPC URL
+   * @param {Error} error - The error that occurred
+   * @param {boolean} isRateLimit - Whether the endpoint rate limited us
+   * @param {number} [retryAfter] - Retry-After hint in ms (rate limits only)
+   */
+  recordFailure(url, error, isRateLimit = false, retryAfter = null) {
+    const endpoint = this.getEndpoint(url);
+    if (!endpoint) return;
+
+    endpoint.inFlight = Math.max(0, endpoint.inFlight - 1);
+    endpoint.failures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - this.smoothing) + this.smoothing;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error?.message || String(error);
+
+    if (isRateLimit) {
+      endpoint.rateLimits++;
+      endpoint.rateLimitScore = this.getRateLimitPressure(endpoint) + 1;
+      endpoint.lastRateLimitTime = Date.now();
+      if (retryAfter) {
+        endpoint.retryAfterUntil = Math.max(endpoint.retryAfterUntil, Date.now() + retryAfter);
+      }
+      // Always rest a rate-limited endpoint - hammering it only extends the limit
+      this.bench(endpoint, retryAfter);
+    } else if (endpoint.consecutiveFailures >= this.maxConsecutiveFailures) {
+      this.bench(endpoint);
+    }
+  }
+
+  /**
+   * Release an endpoint after a request that failed for reasons unrelated to the node
+   * (e.g. a contract revert)
+   * @param {string} url - RPC URL
+   */
+  release(url) {
+    const endpoint = this.getEndpoint(url);
+    if (endpoint) {
+      endpoint.inFlight = Math.max(0, endpoint.inFlight - 1);
+    }
+  }
+
+  /**
+   * Get the time until which every endpoint asked us to wait (Retry-After)
+   * @returns {number} - Timestamp in ms, or 0 while any endpoint can be used
+   */
+  getRetryAfterUntil() {
+    const until = Math.min(...this.endpoints.map(endpoint => endpoint.retryAfterUntil));
+    return until > Date.now() ? until : 0;
+  }
+
+  /**
+   * Take an endpoint out of rotation until it passes a probe
+   * @param {Object} endpoint - Endpoint state
+   * @param {number} [minDuration] - Bench at least this long in ms (e.g. a Retry-After hint)
+   */
+  bench(endpoint, minDuration = null) {
+    const duration = Math.max(endpoint.cooldown, minDuration || 0);
+    if (endpoint.healthy) {
+      console.warn(`RPC endpoint ${endpoint.url} marked unhealthy for ${duration / 1000}s`);
+    }
+    endpoint.healthy = false;
+    endpoint.benchedUntil = Date.now() + duration;
+  }
+
+  // --- Probing ---
+
+  /**
+   * Start re-probing benched endpoints
+   */
+  startProbing() {
+    if (this.probeTimer) return;
+
+    this.probeTimer = setInterval(() => {
+      const now = Date.now();
+      this.endpoints
+        .filter(endpoint => !endpoint.healthy && endpoint.benchedUntil <= now && !endpoint.probing)
+        .forEach(endpoint => this.probe(endpoint));
+    }, this.probeInterval);
+  }
+
+  /**
+   * Stop the probe loop
+   */
+  stopProbing() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Probe an endpoint with a cheap eth_blockNumber call
+   * @param {Object} endpoint - Endpoint state
+   * @returns {Promise<boolean>} - True if the endpoint is healthy again
+   */
+  async probe(endpoint) {
+    endpoint.probing = true;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.probeTimeout);
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Probe failed with status ${response.status}`);
+      }
+
+      const payload = await response.json();
+      if (payload.error) {
+        throw new Error(payload.error.message || 'Probe returned an error');
+      }
+
+      console.log(`RPC endpoint ${endpoint.url} passed probe, returning to rotation`);
+      endpoint.healthy = true;
+      endpoint.benchedUntil = 0;
+      endpoint.consecutiveFailures = 0;
+      endpoint.cooldown = this.baseCooldown;
+      endpoint.latency = Date.now() - startTime;
+      return true;
+    } catch (error) {
+      endpoint.lastError = error.message;
+      endpoint.cooldown = Math.min(endpoint.cooldown * 2, this.maxCooldown);
+      endpoint.benchedUntil = Date.now() + endpoint.cooldown;
+      return false;
+    } finally {
+      clearTimeout(timeoutId);
+      endpoint.probing = false;
+    }
+  }
+
+  // --- Stats ---
+
+  /**
+   * Get per-endpoint health for monitoring
+   * @returns {Array<Object>}
+   */
+  getStats() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: this.isAvailable(endpoint),
+      score: Math.round(this.getScore(endpoint)),
+      latency: endpoint.latency !== null ? Math.round(endpoint.latency) : null,
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      rateLimitScore: Number(this.getRateLimitPressure(endpoint).toFixed(3)),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      rateLimits: endpoint.rateLimits,
+      benchedUntil: endpoint.benchedUntil,
+      lastError: endpoint.lastError
+    }));
+  }
+}
+
+export default RpcPool;
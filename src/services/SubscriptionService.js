@@ -0,0 +1,249 @@
+// src/services/SubscriptionService.js
+import { ethers } from 'ethers';
+import { RPC_WS_URL } from '../constants/blockchain';
+import { COOKIE_CLICKER_ADDRESS, COOKIE_CLICKER_ABI } from '../constants/contracts';
+
+const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
+
+/**
+ * Optional WebSocket transport using eth_subscribe for new blocks and clicker logs.
+ * Emits:
+ * - 'block'  (blockNumber)
+ * - 'log'    (raw log, numbers decoded)
+ * - 'status' ('disabled' | 'connecting' | 'connected' | 'disconnected')
+ * Reconnects with backoff after a drop; consumers fall back to polling while
+ * the status is anything but 'connected'.
+ */
+class SubscriptionService {
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.status = this.isEnabled() ? 'disconnected' : 'disabled';
+
+    this.listeners = {
+      block: new Set(),
+      log: new Set(),
+      status: new Set()
+    };
+
+    // JSON-RPC bookkeeping
+    this.nextId = 1;
+    this.pendingSubscriptions = new Map(); // request id -> subscription type
+    this.subscriptions = new Map();        // subscription id -> subscription type
+
+    // Reconnect with exponential backoff
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 60 * 1000;
+    this.reconnectTimer = null;
+    this.shouldReconnect = false;
+  }
+
+  // --- Connection management ---
+
+  /**
+   * Check if a WebSocket endpoint is configured and supported
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.url) && typeof WebSocket !== 'undefined';
+  }
+
+  /**
+   * Check if live subscriptions are currently active
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  /**
+   * Open the socket and subscribe (no-op if disabled or already open)
+   */
+  connect() {
+    if (!this.isEnabled() || this.socket) return;
+
+    this.shouldReconnect = true;
+    this.setStatus('connecting');
+
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (error) {
+      console.warn('Failed to open WebSocket:', error.message);
+      this.socket = null;
+      this.handleClose();
+      return;
+    }
+
+    this.socket.onopen = () => {
+      console.log(`WebSocket connected to ${this.url}`);
+      // Stays 'connecting' until both subscriptions are confirmed (see handleMessage)
+      this.subscribe('newHeads');
+      this.subscribe('logs', {
+        address: COOKIE_CLICKER_ADDRESS,
+        topics: [['Click', 'Redeem', 'ContractFunded'].map(name => clickerInterface.getEventTopic(name))]
+      });
+    };
+
+    this.socket.onmessage = (message) => this.handleMessage(message.data);
+
+    this.socket.onerror = (error) => {
+      // A close event always follows, which handles the fallback
+      console.warn('WebSocket error:', error?.message || 'connection error');
+    };
+
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.handleClose();
+    };
+  }
+
+  /**
+   * Close the socket and stop reconnecting
+   */
+  disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+
+    this.subscriptions.clear();
+    this.pendingSubscriptions.clear();
+    this.setStatus(this.isEnabled() ? 'disconnected' : 'disabled');
+  }
+
+  /**
+   * Switch consumers back to polling and schedule a reconnect
+   */
+  handleClose() {
+    this.subscriptions.clear();
+    this.pendingSubscriptions.clear();
+
+    if (this.status === 'connected') {
+      console.warn('WebSocket dropped, falling back to polling');
+    }
+    this.setStatus('disconnected');
+
+    if (!this.shouldReconnect) return;
+
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  // --- JSON-RPC ---
+
+  /**
+   * Send an eth_subscribe request
+   * @param {string} type - 'newHeads' or 'logs'
+   * @param {Object} [filter] - Log filter
+   */
+  subscribe(type, filter) {
+    const id = this.nextId++;
+    this.pendingSubscriptions.set(id, type);
+
+    this.socket.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id,
+      method: 'eth_subscribe',
+      params: filter ? [type, filter] : [type]
+    }));
+  }
+
+  /**
+   * Handle an incoming socket message
+   * @param {string} data - Raw message
+   */
+  handleMessage(data) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      console.warn('Invalid WebSocket message:', error.message);
+      return;
+    }
+
+    // Subscription confirmation
+    if (payload.id !== undefined && this.pendingSubscriptions.has(payload.id)) {
+      const type = this.pendingSubscriptions.get(payload.id);
+      this.pendingSubscriptions.delete(payload.id);
+
+      if (payload.error) {
+        // Without both subscriptions we can't replace polling
+        console.warn(`eth_subscribe ${type} failed:`, payload.error.message);
+        this.socket?.close();
+      } else {
+        this.subscriptions.set(payload.result, type);
+
+        // Only now do blocks and logs actually arrive, so consumers can stop polling
+        if (this.pendingSubscriptions.size === 0) {
+          this.reconnectDelay = 1000;
+          this.setStatus('connected');
+        }
+      }
+      return;
+    }
+
+    if (payload.method !== 'eth_subscription' || !payload.params) return;
+
+    const type = this.subscriptions.get(payload.params.subscription);
+    const result = payload.params.result;
+
+    if (type === 'newHeads') {
+      this.emit('block', parseInt(result.number, 16));
+    } else if (type === 'logs' && !result.removed) {
+      this.emit('log', {
+        ...result,
+        blockNumber: parseInt(result.blockNumber, 16),
+        logIndex: parseInt(result.logIndex, 16)
+      });
+    }
+  }
+
+  // --- Events ---
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - 'block', 'log' or 'status'
+   * @param {Function} listener - Event listener
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, listener) {
+    this.listeners[event].add(listener);
+    return () => this.listeners[event].delete(listener);
+  }
+
+  /**
+   * Emit an event to listeners
+   * @param {string} event - Event name
+   * @param {any} value - Event payload
+   */
+  emit(event, value) {
+    for (const listener of this.listeners[event]) {
+      try {
+        listener(value);
+      } catch (error) {
+        console.error(`WebSocket ${event} listener failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Update connection status and notify listeners
+   * @param {string} status - New status
+   */
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    this.emit('status', status);
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService(RPC_WS_URL);
+
+export default subscriptionService;
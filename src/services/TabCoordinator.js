@@ -0,0 +1,390 @@
+// src/services/TabCoordinator.js
+const CHANNEL_NAME = 'cookie-clicker-tabs';
+
+/**
+ * Coordinates open tabs of the app over a BroadcastChannel:
+ * - Elects one leader tab (oldest visible tab wins, hidden tabs only when no tab is visible) using heartbeats
+ * - Hands leadership over when the leader closes, or is hidden while another tab is visible
+ * - Request/reply messages to the leader and broadcasts to every tab
+ * Without BroadcastChannel support every tab acts as its own leader.
+ */
+class TabCoordinator {
+  constructor(channelName) {
+    this.channelName = channelName;
+    this.channel = null;
+
+    // Start time first so the oldest tab sorts lowest and wins elections
+    this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.leaderId = null;
+    this.lastHeartbeat = 0;
+    // Whether the leader's last heartbeat said it was hidden
+    this.leaderHidden = false;
+
+    this.heartbeatInterval = 1000;
+    this.leaderTimeout = 3000;   // Leader is presumed gone after this long without a heartbeat
+    this.electionDelay = 500;    // Wait for an existing leader to answer before claiming
+    this.heartbeatTimer = null;
+
+    this.topicListeners = new Map();
+    this.requestHandlers = new Map();
+    this.leadershipListeners = new Set();
+
+    // Outstanding requests to the leader
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Check if cross-tab messaging is available
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof BroadcastChannel !== 'undefined';
+  }
+
+  /**
+   * Join the channel and take part in leader elections
+   */
+  start() {
+    if (this.channel || !this.isSupported()) return;
+
+    this.channel = new BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+    this.post({ type: 'hello' });
+    setTimeout(() => this.tick(), this.electionDelay);
+    this.heartbeatTimer = setInterval(() => this.tick(), this.heartbeatInterval);
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', () => this.resign());
+    }
+
+    if (typeof document !== 'undefined') {
+      // Hidden tabs are throttled and pause their request loops, so a visible tab takes over when there is one.
+      // With no other tab around the hidden leader keeps leading - resigning would leave nobody to grant nonces.
+      document.addEventListener('visibilitychange', () => this.tick());
+    }
+  }
+
+  /**
+   * Give up leadership so another tab takes over immediately
+   */
+  resign() {
+    if (!this.channel || !this.isLeader()) return;
+
+    this.post({ type: 'resign' });
+    this.setLeader(null);
+    this.lastHeartbeat = Date.now();
+  }
+
+  /**
+   * Send a heartbeat as leader, or claim leadership if the leader went quiet
+   * or is hidden while this tab is visible
+   */
+  tick() {
+    if (!this.channel) return;
+
+    if (this.isLeader()) {
+      this.sendHeartbeat();
+      return;
+    }
+
+    const leaderGone = Date.now() - this.lastHeartbeat > this.leaderTimeout;
+    if (leaderGone || (this.leaderHidden && !this.isHidden())) {
+      this.setLeader(this.tabId);
+      this.sendHeartbeat();
+    }
+  }
+
+  /**
+   * Announce this tab's leadership, and whether it is hidden so a visible tab can take over
+   */
+  sendHeartbeat() {
+    this.post({ type: 'heartbeat', hidden: this.isHidden() });
+  }
+
+  /**
+   * Check if the page is hidden
+   * @returns {boolean}
+   */
+  isHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+  }
+
+  /**
+   * Check if this tab should lead rather than the tab that sent a message - visible tabs first, then the oldest
+   * @param {Object} message - Heartbeat message
+   * @returns {boolean}
+   */
+  outranks(message) {
+    const hidden = this.isHidden();
+    if (hidden !== Boolean(message.hidden)) return !hidden;
+    return this.tabId < message.from;
+  }
+
+  // --- Leadership ---
+
+  /**
+   * Check if this tab should do the shared work (always true without coordination)
+   * @returns {boolean}
+   */
+  isLeader() {
+    return !this.channel || this.leaderId === this.tabId;
+  }
+
+  /**
+   * Check if another tab is currently the leader
+   * @returns {boolean}
+   */
+  hasRemoteLeader() {
+    return Boolean(this.channel && this.leaderId && this.leaderId !== this.tabId);
+  }
+
+  /**
+   * Update the known leader and notify listeners on change
+   * @param {string|null} leaderId - New leader tab ID
+   */
+  setLeader(leaderId) {
+    if (this.leaderId === leaderId) return;
+
+    const previousLeader = this.leaderId;
+    const wasLeader = this.isLeader();
+    this.leaderId = leaderId;
+
+    // Replies from the previous leader will never come
+    for (const [id, pending] of this.pendingRequests) {
+      if (pending.to === previousLeader) {
+        const error = new Error('Leader tab changed before replying');
+        error.code = 'LEADER_CHANGED';
+        this.settleRequest(id, error);
+      }
+    }
+
+    if (wasLeader !== this.isLeader()) {
+      console.log(this.isLeader() ? 'This tab is now the leader' : 'This tab is no longer the leader');
+      for (const listener of this.leadershipListeners) {
+        try {
+          listener(this.isLeader());
+        } catch (error) {
+          console.error('Leadership listener failed:', error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Subscribe to leadership changes for this tab
+   * @param {Function} listener - Called with true when this tab becomes leader, false when it stops
+   * @returns {Function} - Unsubscribe function
+   */
+  onLeadershipChange(listener) {
+    this.leadershipListeners.add(listener);
+    return () => this.leadershipListeners.delete(listener);
+  }
+
+  // --- Messaging ---
+
+  /**
+   * Post a message to the other tabs
+   * @param {Object} message - Message (must be structured-cloneable)
+   * @returns {boolean} - True if the message was posted
+   */
+  post(message) {
+    if (!this.channel) return false;
+
+    try {
+      this.channel.postMessage({ ...message, from: this.tabId });
+      return true;
+    } catch (error) {
+      console.warn(`Failed to post ${message.type} to other tabs:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - The message
+   */
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) return;
+
+    switch (message.type) {
+      case 'hello':
+        // Let the new tab know who leads right away - if this tab is hidden, the new tab takes over
+        if (this.isLeader() && this.leaderId) this.sendHeartbeat();
+        break;
+
+      case 'heartbeat':
+        if (this.leaderId === this.tabId && this.outranks(message)) {
+          // Two leaders after a split or a handover - the visible, then older, tab keeps the role
+          this.sendHeartbeat();
+          return;
+        }
+        this.lastHeartbeat = Date.now();
+        this.leaderHidden = Boolean(message.hidden);
+        this.setLeader(message.from);
+        // A hidden leader hands over to the first visible tab that hears it
+        if (this.leaderHidden && !this.isHidden()) this.tick();
+        break;
+
+      case 'resign':
+        if (this.leaderId === message.from) {
+          this.setLeader(null);
+          this.lastHeartbeat = 0;
+          this.leaderHidden = false;
+          this.tick();
+        }
+        break;
+
+      case 'request':
+        if (message.to === this.tabId) this.handleRequest(message);
+        break;
+
+      case 'reply':
+        if (message.to === this.tabId) this.settleRequest(message.id, message.error, message.result);
+        break;
+
+      case 'broadcast':
+        this.emit(message.topic, message.payload);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Broadcast a payload to every other tab
+   * @param {string} topic - Topic name
+   * @param {any} payload - Payload (must be structured-cloneable)
+   */
+  broadcast(topic, payload) {
+    this.post({ type: 'broadcast', topic, payload });
+  }
+
+  /**
+   * Subscribe to broadcasts from other tabs
+   * @param {string} topic - Topic name
+   * @param {Function} listener - Called with the payload
+   * @returns {Function} - Unsubscribe function
+   */
+  on(topic, listener) {
+    if (!this.topicListeners.has(topic)) {
+      this.topicListeners.set(topic, new Set());
+    }
+    this.topicListeners.get(topic).add(listener);
+    return () => this.topicListeners.get(topic).delete(listener);
+  }
+
+  /**
+   * Deliver a broadcast to local listeners
+   * @param {string} topic - Topic name
+   * @param {any} payload - Payload
+   */
+  emit(topic, payload) {
+    for (const listener of this.topicListeners.get(topic) || []) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Tab broadcast listener for ${topic} failed:`, error);
+      }
+    }
+  }
+
+  // --- Requests to the leader ---
+
+  /**
+   * Register the handler that answers requests for a topic while this tab leads
+   * @param {string} topic - Topic name
+   * @param {Function} handler - Called with the payload, returns a value or promise
+   */
+  handle(topic, handler) {
+    this.requestHandlers.set(topic, handler);
+  }
+
+  /**
+   * Send a request to the leader tab
+   * @param {string} topic - Topic name
+   * @param {any} payload - Payload (must be structured-cloneable)
+   * @param {number} [timeout] - Milliseconds to wait for the reply
+   * @returns {Promise<any>} - The leader's reply. Rejects with code NO_LEADER, LEADER_CHANGED
+   *   or TIMEOUT when the leader couldn't answer, or with remote: true when its handler failed.
+   */
+  request(topic, payload, timeout = 10000) {
+    if (!this.hasRemoteLeader()) {
+      const error = new Error('No leader tab to send the request to');
+      error.code = 'NO_LEADER';
+      return Promise.reject(error);
+    }
+
+    const id = `${this.tabId}:${this.nextRequestId++}`;
+    const to = this.leaderId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new Error(`Leader tab did not answer ${topic} within ${timeout}ms`);
+        error.code = 'TIMEOUT';
+        this.settleRequest(id, error);
+      }, timeout);
+
+      this.pendingRequests.set(id, { to, resolve, reject, timer });
+
+      if (!this.post({ type: 'request', id, to, topic, payload })) {
+        const error = new Error('Failed to send request to the leader tab');
+        error.code = 'NO_LEADER';
+        this.settleRequest(id, error);
+      }
+    });
+  }
+
+  /**
+   * Answer a request from another tab
+   * @param {Object} message - The request message
+   */
+  async handleRequest(message) {
+    const reply = { type: 'reply', id: message.id, to: message.from };
+    const handler = this.requestHandlers.get(message.topic);
+
+    try {
+      if (!handler || !this.isLeader()) {
+        const error = new Error(`This tab can't handle ${message.topic} requests`);
+        error.code = 'NO_LEADER';
+        throw error;
+      }
+
+      reply.result = await handler(message.payload);
+    } catch (error) {
+      reply.error = { message: error.message, code: error.code, remote: error.code !== 'NO_LEADER' };
+    }
+
+    this.post(reply);
+  }
+
+  /**
+   * Resolve or reject an outstanding request
+   * @param {string} id - Request ID
+   * @param {Error|Object} [error] - Error (plain object when it came from another tab)
+   * @param {any} [result] - Reply value
+   */
+  settleRequest(id, error, result) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(id);
+
+    if (error) {
+      const settledError = error instanceof Error ? error : Object.assign(new Error(error.message), error);
+      pending.reject(settledError);
+    } else {
+      pending.resolve(result);
+    }
+  }
+}
+
+// Create singleton instance
+const tabCoordinator = new TabCoordinator(CHANNEL_NAME);
+
+export default tabCoordinator;
@@ -0,0 +1,199 @@
+// src/services/TopUpPolicy.js
+import { ethers } from 'ethers';
+
+// localStorage key prefixes, per main wallet (the top-ups are paid from it)
+const POLICY_KEY = 'gas-wallet-top-up:';
+const HISTORY_KEY = 'gas-wallet-top-up-history:';
+
+const MAX_HISTORY = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session caps count top-ups since this page load
+const SESSION_STARTED_AT = Date.now();
+
+// Marks the top-ups this page sends, so only other pages' pending ones are shown as settled
+const SESSION_ID = `${SESSION_STARTED_AT}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Statuses that spend from the cap - unsettled ones too, so a slow confirmation can't push past it
+const SPENDING_STATUSES = ['pending', 'unconfirmed', 'confirmed'];
+
+export const DEFAULT_TOP_UP_POLICY = {
+  enabled: false,
+  threshold: '0.05', // MON - top up when the gas wallet drops below this
+  amount: '0.1', // MON sent per top-up
+  cap: '0.5', // MON - most the policy may send per period
+  period: 'day' // 'day' (last 24 hours) or 'session' (since the page loaded)
+};
+
+/**
+ * Parse a MON amount from the policy form
+ * @param {string} value - Amount in MON
+ * @param {string} name - Field name for the error message
+ * @returns {ethers.BigNumber} - Amount in wei
+ */
+const parseAmount = (value, name) => {
+  try {
+    return ethers.utils.parseEther(String(value).trim());
+  } catch (error) {
+    throw new Error(`Invalid ${name}: "${value}" is not a MON amount`);
+  }
+};
+
+/**
+ * Load the top-up policy for a main wallet
+ * @param {string} userAddress - Main wallet address
+ * @returns {Object} - The policy (defaults if none was saved)
+ */
+export const loadTopUpPolicy = (userAddress) => {
+  try {
+    const stored = localStorage.getItem(POLICY_KEY + ethers.utils.getAddress(userAddress));
+    return stored ? { ...DEFAULT_TOP_UP_POLICY, ...JSON.parse(stored) } : { ...DEFAULT_TOP_UP_POLICY };
+  } catch (error) {
+    console.warn("Failed to load top-up policy:", error);
+    return { ...DEFAULT_TOP_UP_POLICY };
+  }
+};
+
+/**
+ * Validate and save the top-up policy for a main wallet
+ * @param {string} userAddress - Main wallet address
+ * @param {Object} policy - The policy
+ */
+export const saveTopUpPolicy = (userAddress, policy) => {
+  const threshold = parseAmount(policy.threshold, 'threshold');
+  const amount = parseAmount(policy.amount, 'top-up amount');
+  const cap = parseAmount(policy.cap, 'spending cap');
+
+  if (threshold.lt(0)) {
+    throw new Error("The threshold can't be negative");
+  }
+  if (amount.lte(0)) {
+    throw new Error("The top-up amount must be above zero");
+  }
+  if (amount.gt(cap)) {
+    throw new Error("The top-up amount can't be larger than the spending cap");
+  }
+  if (!['day', 'session'].includes(policy.period)) {
+    throw new Error(`Unknown cap period "${policy.period}"`);
+  }
+
+  localStorage.setItem(POLICY_KEY + ethers.utils.getAddress(userAddress), JSON.stringify(policy));
+};
+
+/**
+ * Load the top-up history for a main wallet
+ * @param {string} userAddress - Main wallet address
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.settlePending=true] - Show other pages' pending top-ups as unconfirmed or abandoned.
+ *   Pass false to get the stored entries as they are (for checking the cap or saving).
+ * @returns {Array<Object>} - Newest first: { id, timestamp, amount, to, status, txHash, error }
+ */
+export const loadTopUpHistory = (userAddress, { settlePending = true } = {}) => {
+  try {
+    const stored = localStorage.getItem(HISTORY_KEY + ethers.utils.getAddress(userAddress));
+    if (!stored) return [];
+
+    const history = JSON.parse(stored);
+    if (!settlePending) return history;
+
+    // Top-ups still pending when the page closed: sent ones may have gone through, unsent ones never will
+    return history.map(entry => {
+      if (entry.status !== 'pending' || entry.session === SESSION_ID) return entry;
+      return { ...entry, status: entry.txHash ? 'unconfirmed' : 'abandoned' };
+    });
+  } catch (error) {
+    console.warn("Failed to load top-up history:", error);
+    return [];
+  }
+};
+
+/**
+ * Save the top-up history for a main wallet
+ * @param {string} userAddress - Main wallet address
+ * @param {Array<Object>} history - Newest first
+ */
+export const saveTopUpHistory = (userAddress, history) => {
+  localStorage.setItem(
+    HISTORY_KEY + ethers.utils.getAddress(userAddress),
+    JSON.stringify(history.slice(0, MAX_HISTORY))
+  );
+};
+
+/**
+ * Record a top-up in the stored history. The history is read again first, so entries
+ * other tabs saved since this tab loaded it are kept.
+ * @param {string} userAddress - Main wallet address
+ * @param {Object} entry - The entry (replaces the one with the same ID)
+ * @returns {Array<Object>} - The history as this page shows it
+ */
+export const recordTopUp = (userAddress, entry) => {
+  const history = upsertTopUp(loadTopUpHistory(userAddress, { settlePending: false }), { ...entry, session: SESSION_ID });
+  saveTopUpHistory(userAddress, history);
+  return loadTopUpHistory(userAddress);
+};
+
+/**
+ * Follow changes another tab makes to a main wallet's top-up policy or history
+ * @param {string} userAddress - Main wallet address
+ * @param {Function} listener - Called when either changes
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToTopUpChanges = (userAddress, listener) => {
+  const address = ethers.utils.getAddress(userAddress);
+  const handleStorage = (event) => {
+    if (event.key === POLICY_KEY + address || event.key === HISTORY_KEY + address) listener();
+  };
+
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
+
+/**
+ * Add a history entry, or replace the one with the same ID
+ * @param {Array<Object>} history - Newest first
+ * @param {Object} entry - The entry
+ * @returns {Array<Object>} - The new history
+ */
+export const upsertTopUp = (history, entry) => {
+  if (history.some(item => item.id === entry.id)) {
+    return history.map(item => (item.id === entry.id ? entry : item));
+  }
+  return [entry, ...history].slice(0, MAX_HISTORY);
+};
+
+/**
+ * Get how much of the cap is left in the current period
+ * @param {Object} policy - The policy
+ * @param {Array<Object>} history - Top-up history
+ * @returns {ethers.BigNumber} - Remaining allowance in wei
+ */
+export const getTopUpAllowance = (policy, history) => {
+  const since = policy.period === 'session' ? SESSION_STARTED_AT : Date.now() - DAY_MS;
+
+  const spent = history
+    .filter(entry => entry.timestamp >= since && SPENDING_STATUSES.includes(entry.status))
+    .reduce((total, entry) => total.add(ethers.utils.parseEther(entry.amount)), ethers.BigNumber.from(0));
+
+  const remaining = parseAmount(policy.cap, 'spending cap').sub(spent);
+  return remaining.gt(0) ? remaining : ethers.BigNumber.from(0);
+};
+
+/**
+ * Decide whether the policy should top up the gas wallet now
+ * @param {Object} policy - The policy
+ * @param {Array<Object>} history - Top-up history
+ * @param {ethers.BigNumber} balance - Current gas wallet balance
+ * @returns {{due: boolean, reason: string|null}} - reason explains why a needed top-up is held back
+ */
+export const checkTopUp = (policy, history, balance) => {
+  if (!policy.enabled || balance.gte(parseAmount(policy.threshold, 'threshold'))) {
+    return { due: false, reason: null };
+  }
+
+  if (getTopUpAllowance(policy, history).lt(parseAmount(policy.amount, 'top-up amount'))) {
+    const period = policy.period === 'session' ? 'session' : 'daily';
+    return { due: false, reason: `${period} top-up cap of ${policy.cap} MON reached` };
+  }
+
+  return { due: true, reason: null };
+};
@@ -1,12 +1,109 @@
 // src/services/TransactionService.js
 import { ethers } from 'ethers';
-import { getCookieClickerContract, getCookieTokenContract } from './ContractService';
-import { COOKIE_TOKEN_ADDRESS, COOKIE_CLICKER_ADDRESS, COOKIE_CLICKER_ABI } from '../constants/contracts';
+import { getCookieClickerContract, getCookieTokenContract, getReadProvider } from './ContractService';
+import { COOKIE_TOKEN_ADDRESS, COOKIE_TOKEN_ABI, COOKIE_CLICKER_ADDRESS, COOKIE_CLICKER_ABI } from '../constants/contracts';
 import { MONAD_TESTNET } from '../constants/blockchain';
 import apiManager from './ApiManager';
+import gasLimitEstimator from './GasLimitEstimator';
+import ClickPipeline from './ClickPipeline';
+
+// Gas limits used when the node can't estimate and nothing was learned yet
+export const CLICK_GAS_LIMIT = ethers.BigNumber.from(85000);
+const REDEEM_GAS_LIMIT = ethers.BigNumber.from(180000);
+const TRANSFER_GAS_LIMIT = ethers.BigNumber.from(65000);
+
+/**
+ * Estimate how many clicks a gas wallet balance pays for
+ * @param {ethers.BigNumber} balance - Gas wallet balance in wei
+ * @param {ethers.BigNumber} gasPrice - Gas price in wei
+ * @returns {number} - Number of clicks at the full gas limit
+ */
+export const estimateClicksRemaining = (balance, gasPrice) => {
+  if (!gasPrice || gasPrice.isZero()) return 0;
+  const gasLimit = gasLimitEstimator.getKnown('click', COOKIE_CLICKER_ADDRESS) || CLICK_GAS_LIMIT;
+  return balance.div(gasLimit.mul(gasPrice)).toNumber();
+};
+
+/**
+ * Send a contract call from the gas wallet and learn from its receipt. Redeems and transfers depend
+ * on their arguments, so the node estimates each one and the learned limit is only a floor.
+ * @param {PersistentGasWallet} gasWallet - The gas wallet
+ * @param {string} action - Action name the gas limit is learned under
+ * @param {Object} tx - The transaction (to, data)
+ * @param {ethers.BigNumber} fallback - Gas limit if the node can't estimate
+ * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
+ */
+const sendWithLearnedGasLimit = async (gasWallet, action, tx, fallback) => {
+  // Send transaction through ApiManager to respect rate limits
+  return apiManager.sendTransaction(async () => {
+    const gasLimit = await gasLimitEstimator.getGasLimit(action, tx, gasWallet, fallback, { alwaysEstimate: true });
+    const sent = { ...tx, gasLimit };
+    
+    const response = await gasWallet.sendTransaction(sent);
+    gasLimitEstimator.watch(action, sent, response);
+    return response;
+  });
+};
+
+/**
+ * Work out what a mined transaction actually paid in fees
+ * @param {ethers.providers.TransactionReceipt} receipt - The receipt
+ * @param {ethers.providers.TransactionResponse} response - The sent transaction (fallback for the price)
+ * @returns {{fee: ethers.BigNumber, gasUsed: ethers.BigNumber, gasPrice: ethers.BigNumber}}
+ */
+export const getFeePaid = (receipt, response) => {
+  // Nodes without EIP-1559 may leave out effectiveGasPrice - a legacy transaction pays its gasPrice
+  const gasPrice = receipt.effectiveGasPrice || response.gasPrice || response.maxFeePerGas;
+  return { fee: receipt.gasUsed.mul(gasPrice), gasUsed: receipt.gasUsed, gasPrice };
+};
+
+// Click pipelines by gas wallet
+const clickPipelines = new WeakMap();
+
+/**
+ * Get the click pipeline for a gas wallet
+ * @param {PersistentGasWallet} gasWallet - The gas wallet
+ * @returns {ClickPipeline}
+ */
+const getClickPipeline = (gasWallet) => {
+  if (!clickPipelines.has(gasWallet)) {
+    const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
+    const tx = { to: COOKIE_CLICKER_ADDRESS, data: clickerInterface.encodeFunctionData("click") };
+    clickPipelines.set(gasWallet, new ClickPipeline(gasWallet, tx, { action: 'click', fallbackGasLimit: CLICK_GAS_LIMIT }));
+  }
+  return clickPipelines.get(gasWallet);
+};
+
+/**
+ * Sign a gas wallet's first pool of clicks ahead of time, so the first click doesn't wait for signing
+ * @param {PersistentGasWallet} gasWallet - The gas wallet
+ */
+export const startClickPool = (gasWallet) => {
+  getClickPipeline(gasWallet).warmUp();
+};
+
+/**
+ * Get the click throughput of a gas wallet
+ * @param {PersistentGasWallet} gasWallet - The gas wallet
+ * @returns {{queued: number, pooled: number, sentPerSecond: number, confirmedPerSecond: number}|null} - null before its pipeline starts
+ */
+export const getClickStats = (gasWallet) => {
+  return clickPipelines.has(gasWallet) ? clickPipelines.get(gasWallet).getStats() : null;
+};
+
+/**
+ * Stop a gas wallet's click pipeline (when it's no longer in use)
+ * @param {PersistentGasWallet} gasWallet - The gas wallet
+ */
+export const stopClickPipeline = (gasWallet) => {
+  if (!clickPipelines.has(gasWallet)) return;
+  clickPipelines.get(gasWallet).stop();
+  clickPipelines.delete(gasWallet);
+};
 
 /**
- * Record a cookie click on the blockchain with enhanced error handling
+ * Record a cookie click on the blockchain with enhanced error handling.
+ * Clicks go through the gas wallet's pipeline, which keeps them signed ahead of time and streams them out at the rate limit.
  * @param {PersistentGasWallet} gasWallet - The gas wallet
  * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
  */
@@ -15,21 +112,8 @@ export const recordClick = async (gasWallet) => {
     throw new Error("Gas wallet is required");
   }
   
-  const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
-  const data = clickerInterface.encodeFunctionData("click");
-  
   try {
-    // Use a fixed gas limit for efficiency
-    const gasLimit = ethers.BigNumber.from(85000);
-    
-    const tx = {
-      to: COOKIE_CLICKER_ADDRESS,
-      data,
-      gasLimit
-    };
-    
-    // Send transaction through ApiManager to respect rate limits
-    return await apiManager.sendTransaction(() => gasWallet.sendTransaction(tx));
+    return await getClickPipeline(gasWallet).enqueue();
   } catch (error) {
     console.error("Error recording click:", error);
     
@@ -74,17 +158,12 @@ export const redeemCookies = async (gasWallet, amount = 0) => {
     const clickerInterface = new ethers.utils.Interface(COOKIE_CLICKER_ABI);
     const data = clickerInterface.encodeFunctionData("redeem", [amount]);
     
-    // Use higher gas limit for redeem - it's a more complex operation
-    const gasLimit = ethers.BigNumber.from(180000);
-    
     const tx = {
       to: COOKIE_CLICKER_ADDRESS,
-      data,
-      gasLimit
+      data
     };
     
-    // Send transaction through ApiManager to respect rate limits
-    return await apiManager.sendTransaction(() => gasWallet.sendTransaction(tx));
+    return await sendWithLearnedGasLimit(gasWallet, 'redeem', tx, REDEEM_GAS_LIMIT);
   } catch (error) {
     console.error("Error redeeming cookies:", error);
     
@@ -109,6 +188,63 @@ export const redeemCookies = async (gasWallet, amount = 0) => {
   }
 };
 
+/**
+ * Read an unformatted $COOKIE balance, bypassing the cache (for sending the exact amount held)
+ * @param {string} address - Token holder
+ * @returns {Promise<ethers.BigNumber>} - Balance in token units
+ */
+export const getRawCookieBalance = async (address) => {
+  return apiManager.request(async (rpcUrl, batchProvider) => {
+    const contract = getCookieTokenContract(getReadProvider(null, rpcUrl, batchProvider));
+    return contract.balanceOf(address);
+  }, null, null, { priority: 'high', batchable: true, tag: address });
+};
+
+/**
+ * Send $COOKIE from the gas wallet (where redeemed tokens arrive) to another address
+ * @param {PersistentGasWallet} gasWallet - The gas wallet
+ * @param {string} to - Recipient, normally the main wallet
+ * @param {ethers.BigNumber} amount - Amount in token units
+ * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
+ */
+export const transferCookies = async (gasWallet, to, amount) => {
+  if (!gasWallet) {
+    throw new Error("Gas wallet is required");
+  }
+  
+  if (!ethers.utils.isAddress(to)) {
+    throw new Error("Invalid recipient address");
+  }
+  
+  if (!ethers.BigNumber.isBigNumber(amount) || amount.lte(0)) {
+    throw new Error("Invalid amount: must be a positive token amount");
+  }
+  
+  try {
+    const tokenInterface = new ethers.utils.Interface(COOKIE_TOKEN_ABI);
+    const data = tokenInterface.encodeFunctionData("transfer", [to, amount]);
+    
+    const tx = {
+      to: COOKIE_TOKEN_ADDRESS,
+      data
+    };
+    
+    return await sendWithLearnedGasLimit(gasWallet, 'transfer', tx, TRANSFER_GAS_LIMIT);
+  } catch (error) {
+    console.error("Error transferring cookies:", error);
+    
+    // Check for insufficient balance error
+    if (error.message && (
+      error.message.includes("insufficient balance") || 
+      error.message.includes("Signer had insufficient balance")
+    )) {
+      throw new Error("Your gas wallet needs more MON! Please fund it using the 'Fund' button.");
+    }
+    
+    throw new Error("Failed to send $COOKIE: " + (error.message || "Unknown error"));
+  }
+};
+
 /**
  * Fund the clicker contract with tokens
  * @param {ethers.Signer} signer - The signer to use for the transaction
@@ -192,16 +328,20 @@ export const fetchTransactionsFromBlockchain = async (provider, walletAddress, b
   }
   
   // Only do this when necessary and with reduced block scope
-  return apiManager.request(async (rpcUrl) => {
+  return apiManager.request(async (rpcUrl, batchProvider) => {
     try {
-      if (rpcUrl && rpcUrl !== provider.connection.url) {
-        provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+      // Don't reassign the caller's provider - a retry may run outside the batch
+      let readProvider = provider;
+      if (batchProvider) {
+        readProvider = batchProvider;
+      } else if (rpcUrl && rpcUrl !== provider.connection.url) {
+        readProvider = new ethers.providers.JsonRpcProvider(rpcUrl);
       }
       
       console.log(`Fetching minimal transaction history for ${walletAddress}`, new Date().toLocaleTimeString());
       
       // Get current block number
-      const currentBlock = await provider.getBlockNumber();
+      const currentBlock = await readProvider.getBlockNumber();
       const fromBlock = Math.max(0, currentBlock - blockCount); // Drastically reduced block count
       
       console.log(`Current block: ${currentBlock}, Looking from block: ${fromBlock} (minimized scope)`);
@@ -246,14 +386,14 @@ export const fetchTransactionsFromBlockchain = async (provider, walletAddress, b
           };
           
           // Get logs for this event
-          const logs = await provider.getLogs(filter);
+          const logs = await readProvider.getLogs(filter);
           
           // Process logs
           for (const log of logs) {
             try {
               // Get block info (with caching)
               if (!blockCache[log.blockNumber]) {
-                blockCache[log.blockNumber] = await provider.getBlock(log.blockNumber);
+                blockCache[log.blockNumber] = await readProvider.getBlock(log.blockNumber);
               }
               const block = blockCache[log.blockNumber];
               
@@ -284,5 +424,5 @@ export const fetchTransactionsFromBlockchain = async (provider, walletAddress, b
       console.error("Error fetching transaction history:", error);
       return [];
     }
-  }, cacheKey, 5 * 60 * 1000, { priority: 'low' }); // Cache for 5 minutes with low priority
+  }, cacheKey, 5 * 60 * 1000, { priority: 'low', batchable: true, tag: walletAddress }); // Cache for 5 minutes with low priority
 };
\ No newline at end of file
@@ -2,6 +2,20 @@
 import { ethers } from 'ethers';
 import { MONAD_TESTNET } from '../constants/blockchain';
 import apiManager from './ApiManager';
+import metrics from './MetricsRegistry';
+import deviceKeyStore from './DeviceKeyStore';
+import FeeStrategy, { FEE_PRESETS, getFeeFields } from './FeeStrategy';
+import NonceManager from './NonceManager';
+
+// Batches are signed without a provider, so the chain ID is set up front
+const CHAIN_ID = parseInt(MONAD_TESTNET.chainId, 16);
+
+// --- Metrics ---
+
+const gasWalletTransactions = metrics.counter(
+  'gas_wallet_transactions_total',
+  'Gas wallet transactions by outcome (sent, send_error, nonce_error, reverted, speedup, cancel, replaced)'
+);
 
 /**
  * Connect to browser wallet (MetaMask, etc.) with enhanced security
@@ -49,53 +63,209 @@ export const connectWallet = async () => {
   }
 };
 
+// --- Key derivation ---
+
+// Bump when the derivation changes - each version keeps its own address, and players move over with the migration flow
+export const CURRENT_DERIVATION_VERSION = 2;
+
+// localStorage key prefixes for the gas wallet in use for each main wallet
+const DERIVED_ADDRESS_KEY = 'gas-wallet-address:';
+const DERIVATION_VERSION_KEY = 'gas-wallet-version:';
+
+// v2 signs typed data, so the wallet shows what the signature is for
+const GAS_WALLET_DOMAIN = {
+  name: 'Cookie Clicker Gas Wallet',
+  version: '2',
+  chainId: parseInt(MONAD_TESTNET.chainId, 16)
+};
+
+const GAS_WALLET_TYPES = {
+  GasWallet: [
+    { name: 'owner', type: 'address' },
+    { name: 'purpose', type: 'string' },
+    { name: 'derivationVersion', type: 'uint256' }
+  ]
+};
+
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * v1: personal_sign of a free-text message, stretched with 1000 keccak rounds.
+ * Kept byte-for-byte so existing players still reach their original address.
+ * @param {string} userAddress - The user's main wallet address
+ * @param {ethers.Signer} signer - The user's wallet signer
+ * @returns {Promise<Uint8Array>} - The private key
+ */
+const deriveKeyV1 = async (userAddress, signer) => {
+  // Add additional entropy sources for security
+  const domainSalt = "monad-cookie-clicker-v1"; // Domain-specific salt
+  
+  // Create a more complex message that's still deterministic but harder to guess
+  const message = `Generate my persistent gas wallet for ${domainSalt} - Address:${userAddress} - App:CookieClicker`;
+  
+  // Get signature from the user's wallet
+  const signature = await signer.signMessage(message);
+  
+  // Use PBKDF2-like approach by hashing multiple times for key strengthening
+  let derivedKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(signature));
+  
+  // Multiple hashing rounds (PBKDF2-like approach)
+  for (let i = 0; i < 1000; i++) {
+    derivedKey = ethers.utils.keccak256(
+      ethers.utils.concat([
+        ethers.utils.arrayify(derivedKey),
+        ethers.utils.arrayify(ethers.utils.id(userAddress + domainSalt))
+      ])
+    );
+  }
+  
+  return ethers.utils.arrayify(derivedKey);
+};
+
+/**
+ * v2: EIP-712 signature over a versioned GasWallet message, stretched with WebCrypto PBKDF2-SHA256
+ * @param {string} userAddress - The user's main wallet address
+ * @param {ethers.Signer} signer - The user's wallet signer (must support _signTypedData)
+ * @returns {Promise<Uint8Array>} - The private key
+ */
+const deriveKeyV2 = async (userAddress, signer) => {
+  const owner = ethers.utils.getAddress(userAddress);
+  
+  const signature = await signer._signTypedData(GAS_WALLET_DOMAIN, GAS_WALLET_TYPES, {
+    owner,
+    purpose: 'Derive my Cookie Clicker gas wallet. Only sign this on the Cookie Clicker site.',
+    derivationVersion: 2
+  });
+  
+  // Wallets differ in how they encode v (0/1 vs 27/28) - normalize so every wallet derives the same key
+  const canonicalSignature = ethers.utils.joinSignature(ethers.utils.splitSignature(signature));
+  
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    ethers.utils.arrayify(canonicalSignature),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      salt: ethers.utils.toUtf8Bytes(`cookie-clicker-gas-wallet:v2:${owner}`),
+      iterations: PBKDF2_ITERATIONS
+    },
+    keyMaterial,
+    256
+  );
+  
+  return new Uint8Array(bits);
+};
+
+const KEY_DERIVATIONS = {
+  1: deriveKeyV1,
+  2: deriveKeyV2
+};
+
+export const DERIVATION_VERSIONS = Object.keys(KEY_DERIVATIONS).map(Number);
+
+/**
+ * Get the gas wallet address last derived for a main wallet (no signature needed)
+ * @param {string} userAddress - Main wallet address
+ * @returns {string|null} - The derived gas wallet address, or null if it was never derived here
+ */
+export const getKnownGasWalletAddress = (userAddress) => {
+  if (!userAddress) return null;
+  return localStorage.getItem(DERIVED_ADDRESS_KEY + ethers.utils.getAddress(userAddress));
+};
+
+/**
+ * Get the derivation version a main wallet's gas wallet uses
+ * @param {string} userAddress - Main wallet address
+ * @returns {number} - The recorded version, else 1
+ */
+export const getDerivationVersion = (userAddress) => {
+  const stored = localStorage.getItem(DERIVATION_VERSION_KEY + ethers.utils.getAddress(userAddress));
+  if (stored) return Number(stored);
+  
+  // Nothing recorded can't be told apart from a player who started before versions (or on another
+  // device) - they must keep reaching their v1 address. v2 is only reached through the migration flow.
+  return 1;
+};
+
+/**
+ * Record the gas wallet in use for a main wallet
+ * @param {string} userAddress - Main wallet address
+ * @param {string} address - Gas wallet address
+ * @param {number} version - Derivation version it came from
+ */
+export const rememberGasWallet = (userAddress, address, version) => {
+  const owner = ethers.utils.getAddress(userAddress);
+  localStorage.setItem(DERIVED_ADDRESS_KEY + owner, address);
+  localStorage.setItem(DERIVATION_VERSION_KEY + owner, String(version));
+};
+
+// --- Keystore backups ---
+
+/**
+ * Read the address from a keystore without decrypting it
+ * @param {string} json - Web3 Secret Storage JSON
+ * @returns {string} - Checksummed address
+ */
+export const getKeystoreAddress = (json) => {
+  let address = null;
+  try {
+    address = ethers.utils.getJsonWalletAddress(json);
+  } catch (error) {
+    // Invalid JSON - reported below
+  }
+  
+  if (!address) {
+    throw new Error("Not a keystore file (expected Web3 Secret Storage JSON that includes an address)");
+  }
+  return address;
+};
+
 /**
  * A wallet that persists across sessions by deriving its private key
- * from a signature from the user's main wallet
+ * from a signature from the user's main wallet (or from an imported keystore backup)
  */
 export class PersistentGasWallet {
   constructor(provider) {
     this.provider = provider;
     this.wallet = null;
     this.balance = ethers.BigNumber.from(0);
-    this.currentNonce = null;
-    this.pendingTxCount = 0;
+    // 'derived' from a main wallet signature or 'keystore' when imported from a backup
+    this.source = null;
+    this.derivationVersion = null;
+    this.feeStrategy = new FeeStrategy(provider);
+    // Hands out nonces and keeps the ledger of unmined ones
+    this.nonces = new NonceManager({
+      getWallet: () => this.wallet,
+      getFees: (preset) => this.feeStrategy.getFees(preset)
+    });
     // Maximum pending transactions allowed
     this.maxPendingTx = 50;
   }
 
   /**
-   * Create a deterministic wallet using the user's signature with additional entropy
+   * Create a deterministic wallet from a signature by the user's main wallet
    * @param {string} userAddress - The user's main wallet address
    * @param {ethers.Signer} signer - The user's wallet signer
+   * @param {number} [version] - Derivation version (defaults to the one recorded for this user)
    * @returns {Promise<string>} - The gas wallet address
    */
-  async create(userAddress, signer) {
+  async create(userAddress, signer, version = getDerivationVersion(userAddress)) {
     try {
-      // Add additional entropy sources for security
-      const domainSalt = "monad-cookie-clicker-v1"; // Domain-specific salt
-      
-      // Create a more complex message that's still deterministic but harder to guess
-      const message = `Generate my persistent gas wallet for ${domainSalt} - Address:${userAddress} - App:CookieClicker`;
-      
-      // Get signature from the user's wallet
-      const signature = await signer.signMessage(message);
-      
-      // Use PBKDF2-like approach by hashing multiple times for key strengthening
-      let derivedKey = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(signature));
-      
-      // Multiple hashing rounds (PBKDF2-like approach)
-      for (let i = 0; i < 1000; i++) {
-        derivedKey = ethers.utils.keccak256(
-          ethers.utils.concat([
-            ethers.utils.arrayify(derivedKey),
-            ethers.utils.arrayify(ethers.utils.id(userAddress + domainSalt))
-          ])
-        );
+      const deriveKey = KEY_DERIVATIONS[version];
+      if (!deriveKey) {
+        throw new Error(`Unknown derivation version ${version}`);
       }
       
       // Create wallet from this deterministic private key
-      this.wallet = new ethers.Wallet(ethers.utils.arrayify(derivedKey)).connect(this.provider);
+      this.wallet = new ethers.Wallet(await deriveKey(userAddress, signer)).connect(this.provider);
+      this.source = 'derived';
+      this.derivationVersion = version;
       
       // Initialize the nonce
       await this.refreshNonce();
@@ -107,16 +277,118 @@ export class PersistentGasWallet {
     }
   }
 
+  /**
+   * Build a gas wallet from a keystore backup, without a main wallet signature
+   * @param {ethers.providers.Provider} provider - Provider to connect the wallet to
+   * @param {string} json - Web3 Secret Storage JSON
+   * @param {string} password - Keystore password
+   * @param {Function} [onProgress] - Called with decryption progress between 0 and 1
+   * @returns {Promise<PersistentGasWallet>} - The ready gas wallet
+   */
+  static async fromKeystore(provider, json, password, onProgress) {
+    const gasWallet = new PersistentGasWallet(provider);
+    await gasWallet.importKeystore(json, password, onProgress);
+    return gasWallet;
+  }
+
+  /**
+   * Load the key from a keystore backup
+   * @param {string} json - Web3 Secret Storage JSON
+   * @param {string} password - Keystore password
+   * @param {Function} [onProgress] - Called with decryption progress between 0 and 1
+   * @returns {Promise<string>} - The gas wallet address
+   */
+  async importKeystore(json, password, onProgress) {
+    // Validates the format before the (slow) key derivation
+    getKeystoreAddress(json);
+    
+    let wallet;
+    try {
+      wallet = await ethers.Wallet.fromEncryptedJson(json, password, onProgress);
+    } catch (error) {
+      // ethers reports a wrong password as an invalid-password argument error
+      if (error.message && error.message.includes("invalid password")) {
+        throw new Error("Wrong keystore password");
+      }
+      throw new Error("Failed to read keystore: " + (error.message || "Unknown error"));
+    }
+    
+    this.wallet = wallet.connect(this.provider);
+    this.source = 'keystore';
+    this._lastBalanceCheck = null;
+    
+    await this.refreshNonce();
+    return this.wallet.address;
+  }
+
+  /**
+   * Export the key as a password-encrypted keystore (Web3 Secret Storage JSON)
+   * @param {string} password - Password to encrypt with
+   * @param {Function} [onProgress] - Called with encryption progress between 0 and 1
+   * @returns {Promise<string>} - The keystore JSON
+   */
+  async exportKeystore(password, onProgress) {
+    if (!this.wallet) throw new Error("Wallet not initialized");
+    if (!password || password.length < 8) {
+      throw new Error("Use a keystore password of at least 8 characters");
+    }
+    
+    return this.wallet.encrypt(password, {}, onProgress);
+  }
+
+  /**
+   * Load a derived key remembered on this device, skipping the derivation signature
+   * @param {string} userAddress - The user's main wallet address
+   * @param {number} [version] - Derivation version expected (defaults to the one recorded for this user)
+   * @returns {Promise<string|null>} - The gas wallet address, or null if no usable key is remembered
+   */
+  async restoreFromDevice(userAddress, version = getDerivationVersion(userAddress)) {
+    const stored = await deviceKeyStore.load(userAddress);
+    // A key from another version is stale - the player migrated since it was saved
+    if (!stored || stored.version !== version) return null;
+
+    const wallet = new ethers.Wallet(stored.privateKey);
+    if (wallet.address !== stored.address) {
+      await deviceKeyStore.forget(userAddress);
+      return null;
+    }
+
+    this.wallet = wallet.connect(this.provider);
+    this.source = 'derived';
+    this.derivationVersion = stored.version;
+    this._lastBalanceCheck = null;
+
+    await this.refreshNonce();
+    return this.wallet.address;
+  }
+
+  /**
+   * Remember the derived key on this device (encrypted under a non-extractable key)
+   * @param {string} userAddress - The user's main wallet address
+   * @param {number} [duration] - How long to keep it, in ms
+   * @returns {Promise<number>} - Expiry timestamp
+   */
+  async rememberOnDevice(userAddress, duration) {
+    if (!this.wallet) throw new Error("Wallet not initialized");
+    // Imported keystores already have their own backup, and aren't tied to the main wallet
+    if (this.source !== 'derived') {
+      throw new Error("Only derived gas wallets can be remembered on this device");
+    }
+
+    return deviceKeyStore.save(userAddress, this.wallet.privateKey, this.wallet.address, this.derivationVersion, duration);
+  }
+
   /**
    * Get the current wallet balance with cache to prevent recursion
+   * @param {boolean} [forceRefresh=false] - Skip the 5 second cache (e.g. before sweeping the balance)
    * @returns {Promise<ethers.BigNumber>} - The wallet balance
    */
-  async getBalance() {
+  async getBalance(forceRefresh = false) {
     if (!this.wallet) return ethers.BigNumber.from(0);
     
     // Use a static balance for 5 seconds to prevent recursive calls
     const now = Date.now();
-    if (this._lastBalanceCheck && (now - this._lastBalanceCheck) < 5000) {
+    if (!forceRefresh && this._lastBalanceCheck && (now - this._lastBalanceCheck) < 5000) {
       return this.balance;
     }
     
@@ -138,15 +410,23 @@ export class PersistentGasWallet {
   }
 
   /**
-   * Refresh the current nonce from the blockchain
+   * Number of transactions reserved or sent and not mined yet
+   * @returns {number}
+   */
+  get pendingTxCount() {
+    return this.nonces.pendingCount;
+  }
+
+  /**
+   * Refresh the next nonce from the blockchain (the pending count, so transactions in flight keep their nonces)
+   * @param {boolean} [resetShared=false] - Also reset the nonce shared with other tabs (after a nonce error)
+   * @returns {Promise<number>} - The next nonce
    */
-  async refreshNonce() {
+  async refreshNonce(resetShared = false) {
     if (!this.wallet) throw new Error("Wallet not initialized");
     
     try {
-      this.currentNonce = await this.provider.getTransactionCount(this.wallet.address);
-      this.pendingTxCount = 0; // Reset pending transaction count
-      return this.currentNonce;
+      return await this.nonces.sync(resetShared);
     } catch (error) {
       console.error("Error refreshing nonce:", error);
       throw new Error("Failed to refresh nonce: " + (error.message || "Unknown error"));
@@ -154,7 +434,26 @@ export class PersistentGasWallet {
   }
 
   /**
-   * Send a transaction with managed nonce and gas price optimization
+   * Get a legacy gas price (network price + 10%, cached for 10 seconds).
+   * Withdrawals use it because a legacy transaction's fee is known exactly, so a sweep leaves nothing behind.
+   * @returns {Promise<ethers.BigNumber>} - The gas price
+   */
+  async getGasPrice() {
+    const gasPrice = await this.feeStrategy.getLegacyGasPrice();
+    return gasPrice.mul(FEE_PRESETS.normal.legacyMultiplier).div(100);
+  }
+
+  /**
+   * Get the fees for the next transaction with the player's fee preset
+   * @returns {Promise<Object>} - See FeeStrategy.getFees
+   */
+  async getFees() {
+    return this.feeStrategy.getFees();
+  }
+
+  /**
+   * Send a transaction with managed nonce and fees from the fee strategy
+   * (a gasPrice already set on the transaction is kept and sent as a legacy transaction)
    * @param {Object} tx - The transaction object
    * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
    */
@@ -170,84 +469,246 @@ export class PersistentGasWallet {
     const balance = await this.getBalance();
     if (balance.eq(0)) throw new Error("Gas wallet has no MON");
     
+    let nonce = null;
     try {
-      // Make sure we have the current nonce
-      if (this.currentNonce === null) {
-        await this.refreshNonce();
-      }
+      // EIP-1559 fees for the player's preset, or legacy pricing on nodes without EIP-1559
+      const fees = tx.gasPrice
+        ? { type: 0, preset: null, gasPrice: tx.gasPrice }
+        : await this.getFees();
       
-      // Use a cached gas price that updates only every 10 seconds
-      let adjustedGasPrice;
-      if (!this._cachedGasPrice || !this._lastGasPriceCheck || (Date.now() - this._lastGasPriceCheck) > 10000) {
-        try {
-          const gasPrice = await this.provider.getGasPrice();
-          adjustedGasPrice = gasPrice.mul(110).div(100);
-          this._cachedGasPrice = adjustedGasPrice;
-          this._lastGasPriceCheck = Date.now();
-        } catch (error) {
-          // If gas price fetch fails, use last known or default
-          adjustedGasPrice = this._cachedGasPrice || ethers.utils.parseUnits("1", "gwei");
-        }
-      } else {
-        adjustedGasPrice = this._cachedGasPrice;
-      }
+      // Reserve the nonce across tabs - other tabs may be sending from this wallet too
+      nonce = await this.nonces.reserve();
       
       // Create transaction with optimized parameters
       const txWithNonce = {
         ...tx,
-        nonce: this.currentNonce,
-        gasPrice: adjustedGasPrice
+        nonce,
+        ...getFeeFields(fees)
       };
       
-      // Increment the nonce for the next transaction
-      this.currentNonce++;
-      this.pendingTxCount++;
-      
       // Send the transaction using the wallet directly
       // We're bypassing apiManager.sendTransaction to avoid issues
       const response = await this.wallet.sendTransaction(txWithNonce);
       
-      // Setup automatic nonce reset on failure
-      this.setupTransactionWatcher(response);
-      
+      this.handleSent(response, txWithNonce, fees.preset);
       return response;
     } catch (error) {
-      // Handle specific errors
-      if (error.message && error.message.includes("nonce")) {
-        await this.refreshNonce();
-        throw new Error("Transaction nonce error. Please try again.");
+      return this.handleSendError(nonce, error);
+    }
+  }
+
+  /**
+   * Reserve consecutive nonces and price a batch of transactions, ready to be signed elsewhere
+   * (e.g. in a worker) and sent with sendSigned
+   * @param {Array<Object>} txs - The transactions (to, data, value, gasLimit)
+   * @param {Object} [options] - Options
+   * @param {Function} [options.hold] - Hold the nonces for transactions signed ahead of time, see NonceManager.reserve.
+   *   Each must be claimed with nonces.claim before it's sent.
+   * @returns {Promise<{requests: Array<Object>, feePreset: string, estimatedGasPrice: ethers.BigNumber}>} - Complete unsigned transactions, in nonce order
+   */
+  async prepareBatch(txs, { hold = null } = {}) {
+    if (!this.wallet) throw new Error("Wallet not initialized");
+    
+    // Held nonces are sent later, so they count against the limit too
+    const pendingCount = this.pendingTxCount + (hold ? this.nonces.heldCount : 0);
+    if (pendingCount + txs.length > this.maxPendingTx) {
+      throw new Error(`Too many pending transactions (${pendingCount}). Please wait for some to confirm.`);
+    }
+    
+    const balance = await this.getBalance();
+    if (balance.eq(0)) throw new Error("Gas wallet has no MON");
+    
+    // One fee quote for the whole batch
+    const fees = await this.getFees();
+    
+    const requests = [];
+    try {
+      for (const tx of txs) {
+        const nonce = await this.nonces.reserve(hold);
+        requests.push({ ...tx, nonce, chainId: CHAIN_ID, ...getFeeFields(fees) });
       }
-      
-      // Decreased count for failed transactions
-      this.pendingTxCount = Math.max(0, this.pendingTxCount - 1);
-      
+    } catch (error) {
+      requests.forEach(request => this.nonces.release(request.nonce, error));
       throw error;
     }
+    
+    return { requests, feePreset: fees.preset, estimatedGasPrice: fees.estimatedGasPrice };
+  }
+
+  /**
+   * Broadcast a transaction signed from prepareBatch
+   * @param {string} signedTx - Signed raw transaction
+   * @param {Object} request - The request it was signed from
+   * @param {string} [feePreset] - Fee preset it was priced with
+   * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
+   */
+  async sendSigned(signedTx, request, feePreset = null) {
+    try {
+      const response = await this.provider.sendTransaction(signedTx);
+      this.handleSent(response, request, feePreset);
+      return response;
+    } catch (error) {
+      return this.handleSendError(request.nonce, error);
+    }
+  }
+
+  /**
+   * Record a sent transaction and start tracking its nonce
+   * @param {ethers.providers.TransactionResponse} response - The transaction response
+   * @param {Object} request - The transaction as sent
+   * @param {string|null} feePreset - Fee preset it was priced with
+   */
+  handleSent(response, request, feePreset) {
+    gasWalletTransactions.inc({ outcome: 'sent' });
+    // Lets callers tell which strategy priced the transaction when comparing fees paid
+    response.feePreset = feePreset;
+    
+    // Track the nonce so the transaction can be sped up, cancelled or resubmitted
+    this.nonces.track(response, request);
+    
+    // Count how it ends
+    this.setupTransactionWatcher(response);
+  }
+
+  /**
+   * Handle a failed send: free its nonce and resync after a nonce error
+   * @param {number|null} nonce - The reserved nonce, if one was reserved
+   * @param {Error} error - The send error
+   * @returns {Promise<never>} - Always throws
+   */
+  async handleSendError(nonce, error) {
+    // Nothing uses the nonce now - the nonce manager fills or reuses it
+    if (nonce !== null) {
+      this.nonces.release(nonce, error);
+    }
+    
+    // Handle specific errors
+    if (error.message && error.message.includes("nonce")) {
+      gasWalletTransactions.inc({ outcome: 'nonce_error' });
+      await this.refreshNonce(true);
+      throw new Error("Transaction nonce error. Please try again.");
+    }
+    
+    gasWalletTransactions.inc({ outcome: 'send_error' });
+    throw error;
   }
   
   /**
-   * Setup transaction monitoring to update pending count
+   * Work out a withdrawal back to the main wallet and its network fee
+   * @param {string} to - Recipient (the main wallet)
+   * @param {string|null} amount - Amount in MON, or null for everything minus the fee
+   * @returns {Promise<{to: string, value: ethers.BigNumber, fee: ethers.BigNumber, gasLimit: ethers.BigNumber, gasPrice: ethers.BigNumber, balance: ethers.BigNumber}>}
+   */
+  async prepareWithdrawal(to, amount = null) {
+    if (!this.wallet) throw new Error("Wallet not initialized");
+    if (!ethers.utils.isAddress(to)) throw new Error("Invalid withdrawal address");
+    
+    // Pending clicks still spend gas from this balance, so "everything" isn't known yet
+    if (amount === null && this.pendingTxCount > 0) {
+      throw new Error(`Wait for ${this.pendingTxCount} pending transaction(s) to confirm before withdrawing everything.`);
+    }
+    
+    const [balance, gasPrice] = await Promise.all([this.getBalance(true), this.getGasPrice()]);
+    
+    // A plain transfer costs 21000 gas, but a smart-contract main wallet can need more
+    let gasLimit = ethers.BigNumber.from(21000);
+    try {
+      gasLimit = await this.provider.estimateGas({ from: this.wallet.address, to, value: 0 });
+    } catch (error) {
+      console.warn("Withdrawal gas estimate failed, assuming a plain transfer:", error.message);
+    }
+    
+    const fee = gasLimit.mul(gasPrice);
+    
+    let value;
+    if (amount === null) {
+      value = balance.sub(fee);
+    } else {
+      try {
+        value = ethers.utils.parseEther(String(amount).trim());
+      } catch (error) {
+        throw new Error(`Invalid amount: ${amount}`);
+      }
+    }
+    
+    if (value.lte(0)) {
+      throw new Error(`Balance (${ethers.utils.formatEther(balance)} MON) doesn't cover the network fee (${ethers.utils.formatEther(fee)} MON)`);
+    }
+    if (value.add(fee).gt(balance)) {
+      throw new Error(`Insufficient balance: ${ethers.utils.formatEther(value)} MON plus ${ethers.utils.formatEther(fee)} MON fee exceeds ${ethers.utils.formatEther(balance)} MON`);
+    }
+    
+    return { to, value, fee, gasLimit, gasPrice, balance };
+  }
+
+  /**
+   * Send MON from the gas wallet back to the main wallet
+   * @param {string} to - Recipient (the main wallet)
+   * @param {string|null} amount - Amount in MON, or null for everything minus the fee
+   * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
+   */
+  async withdraw(to, amount = null) {
+    return this.sendWithdrawal(await this.prepareWithdrawal(to, amount));
+  }
+
+  /**
+   * Send a withdrawal exactly as prepareWithdrawal worked it out (and the player confirmed it)
+   * @param {Object} withdrawal - From prepareWithdrawal: { to, value, gasLimit, gasPrice }
+   * @returns {Promise<ethers.providers.TransactionResponse>} - The transaction response
+   */
+  async sendWithdrawal({ to, value, gasLimit, gasPrice }) {
+    // Same gas price as the fee calculation, so a full sweep leaves nothing short
+    return this.sendTransaction({ to, value, gasLimit, gasPrice });
+  }
+
+  /**
+   * Count how a sent transaction ends (the nonce manager settles its wait())
    * @param {ethers.providers.TransactionResponse} response - The transaction response
    */
   setupTransactionWatcher(response) {
-    response.wait()
-      .then(() => {
-        this.pendingTxCount = Math.max(0, this.pendingTxCount - 1);
-      })
-      .catch(async (error) => {
-        console.error("Transaction failed:", error);
-        // Reset nonce on serious errors
-        if (error.message && (
-          error.message.includes("nonce") || 
-          error.message.includes("replacement transaction underpriced") ||
-          error.message.includes("already known"))) {
-          await this.refreshNonce();
-        } else {
-          this.pendingTxCount = Math.max(0, this.pendingTxCount - 1);
-        }
-      });
+    response.wait().catch((error) => {
+      if (error.code === ethers.errors.TRANSACTION_REPLACED) {
+        // Cancelled on purpose, or the nonce was used from elsewhere - either way it no longer blocks
+        gasWalletTransactions.inc({ outcome: 'replaced' });
+        return;
+      }
+      
+      console.error("Transaction failed:", error);
+      gasWalletTransactions.inc({ outcome: 'reverted' });
+    });
   }
   
+  /**
+   * Get the lowest-nonce transaction if it has been pending past the threshold
+   * @param {number} [thresholdMs] - How long counts as stuck (see NonceManager.getStuck)
+   * @returns {Object|null} - See NonceManager.getStuck
+   */
+  getStuckTransaction(thresholdMs) {
+    return this.nonces.getStuck(thresholdMs);
+  }
+
+  /**
+   * Replace a pending transaction with higher fees
+   * @param {number} nonce - Nonce of the transaction
+   * @param {string} [mode='speedup'] - 'speedup' resends the same call, 'cancel' sends a zero-value self-transfer
+   * @returns {Promise<Object>} - See NonceManager.replace
+   */
+  async replaceTransaction(nonce, mode = 'speedup') {
+    if (!['speedup', 'cancel'].includes(mode)) throw new Error(`Unknown replacement mode "${mode}"`);
+    
+    const replacement = await this.nonces.replace(nonce, mode);
+    gasWalletTransactions.inc({ outcome: replacement.mode });
+    return replacement;
+  }
+
+  /**
+   * Get the nonce ledger and the last check against the chain, for diagnostics
+   * @returns {Object} - See NonceManager.getState
+   */
+  getNonceState() {
+    return { address: this.getAddress(), ...this.nonces.getState() };
+  }
+
   /**
    * Get the current wallet address
    * @returns {string|null} - The wallet address or null if not initialized